@@ -0,0 +1,74 @@
+'use strict';
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+/**
+ * Bulk campaigns (POST /send-bulk): one entry per recipient with the queue job
+ * it created. Live statuses come from the JobStore, only the mapping is kept here.
+ */
+class BatchStore {
+  constructor({
+    storageFile = null,
+    maxEntries = 200,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.maxEntries = Number(maxEntries) > 0 ? Number(maxEntries) : 200;
+    this.logger = logger || console;
+
+    this._batches = new Map();
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) {
+        items.forEach((batch) => {
+          if (batch && batch.id) this._batches.set(batch.id, batch);
+        });
+      }
+    }
+  }
+
+  _save() {
+    if (!this.storageFile) return;
+    try {
+      writeJsonFile(this.storageFile, [...this._batches.values()]);
+    } catch (e) {
+      this.logger.error('[batches] Failed to save store:', e);
+    }
+  }
+
+  /**
+   * @param {Object} batch - { name, templateKey, priority, idempotencyKey, ... }
+   * @returns {Object} the stored batch (with `id`, `createdAt` and an empty `entries` list)
+   */
+  create(batch = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      ...batch,
+      entries: [],
+      createdAt: new Date().toISOString(),
+      cancelledAt: null,
+    };
+    this._batches.set(entry.id, entry);
+    while (this._batches.size > this.maxEntries) {
+      this._batches.delete(this._batches.keys().next().value);
+    }
+    return entry;
+  }
+
+  get(id) {
+    return this._batches.get(id) || null;
+  }
+
+  /**
+   * Persist changes made to a batch (entries added, cancellation...).
+   */
+  update(batch, changes = {}) {
+    Object.assign(batch, changes);
+    this._save();
+    return batch;
+  }
+}
+
+module.exports = { BatchStore };
@@ -0,0 +1,108 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// [min, max, names] per field, names mapped to min + index
+const FIELDS = {
+  second: [0, 59],
+  minute: [0, 59],
+  hour: [0, 23],
+  day: [1, 31],
+  month: [1, 12, MONTH_NAMES],
+  weekday: [0, 7, DAY_NAMES],
+};
+
+function parseField(expr, name) {
+  const [min, max, names] = FIELDS[name];
+  const toNumber = (token) => {
+    const lower = token.toLowerCase();
+    if (names) {
+      const idx = names.findIndex((n) => lower.startsWith(n));
+      if (idx !== -1) return min + idx;
+    }
+    const n = Number(token);
+    if (!Number.isInteger(n) || n < min || n > max) throw new Error(`Invalid ${name} "${token}"`);
+    return n;
+  };
+
+  const values = new Set();
+  expr.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${part}"`);
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [min, max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(toNumber);
+    } else {
+      from = toNumber(range);
+      to = stepText === undefined ? from : max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+  // 7 is Sunday too
+  if (name === 'weekday' && values.has(7)) values.add(0);
+  return values;
+}
+
+/**
+ * Parse a node-cron expression (5 fields, or 6 with seconds first).
+ * @throws {Error} on an invalid expression
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) throw new Error(`Invalid cron expression "${expression}"`);
+  const [second, minute, hour, day, month, weekday] = parts;
+  return {
+    seconds: [...parseField(second, 'second')].sort((a, b) => a - b),
+    minutes: parseField(minute, 'minute'),
+    hours: parseField(hour, 'hour'),
+    days: parseField(day, 'day'),
+    months: parseField(month, 'month'),
+    weekdays: parseField(weekday, 'weekday'),
+  };
+}
+
+/**
+ * Next run times of a cron expression in a timezone. Like node-cron, day of month
+ * and day of week must both match.
+ * @param {string} expression
+ * @param {Object} [options]
+ * @param {string} [options.tz]
+ * @param {Date|number} [options.from] - defaults to now
+ * @param {number} [options.count]
+ * @returns {string[]} ISO datetimes in `tz` (fewer than `count` when the expression rarely or never matches)
+ */
+function nextRuns(expression, { tz = 'UTC', from = Date.now(), count = 5 } = {}) {
+  const spec = parseCron(expression);
+  const start = DateTime.fromMillis(Number(from), { zone: tz });
+  const runs = [];
+  let dt = start.startOf('minute');
+  // ~5 years of day skips is more than enough for any valid expression
+  for (let guard = 0; runs.length < count && guard < 20000; guard++) {
+    if (!spec.months.has(dt.month)) {
+      dt = dt.plus({ months: 1 }).startOf('month');
+    } else if (!spec.days.has(dt.day) || !spec.weekdays.has(dt.weekday % 7)) {
+      dt = dt.plus({ days: 1 }).startOf('day');
+    } else if (!spec.hours.has(dt.hour)) {
+      dt = dt.plus({ hours: 1 }).startOf('hour');
+    } else if (!spec.minutes.has(dt.minute)) {
+      dt = dt.plus({ minutes: 1 });
+    } else {
+      for (const second of spec.seconds) {
+        const run = dt.set({ second });
+        if (run > start && runs.length < count) runs.push(run.toISO({ suppressMilliseconds: true }));
+      }
+      dt = dt.plus({ minutes: 1 });
+    }
+  }
+  return runs;
+}
+
+module.exports = { parseCron, nextRuns };
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Minimal CSV parser (RFC 4180 quotes, "," or ";" delimiter as exported by Excel FR).
+ * The first line is the header; returns one object per non-empty line.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const [header, ...lines] = rows.filter((r) => r.some((v) => v.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return lines.map((values) => {
+    const obj = {};
+    keys.forEach((k, i) => { if (k) obj[k] = (values[i] ?? '').trim(); });
+    return obj;
+  });
+}
+
+module.exports = { parseCsv };
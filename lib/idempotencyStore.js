@@ -0,0 +1,73 @@
+'use strict';
+
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+/**
+ * Maps an idempotency key to the queue job it created, for `ttlMs`.
+ * A retried HTTP call (or a re-run reminder) with the same key gets the
+ * original job back instead of sending the message twice.
+ */
+class IdempotencyStore {
+  constructor({
+    storageFile = null,
+    ttlMs = 24 * 60 * 60 * 1000,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.ttlMs = Number(ttlMs) > 0 ? Number(ttlMs) : 24 * 60 * 60 * 1000;
+    this.logger = logger || console;
+
+    this._keys = new Map();
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) {
+        items.forEach((entry) => {
+          if (entry && entry.key) this._keys.set(entry.key, entry);
+        });
+      }
+      this._prune();
+    }
+  }
+
+  _save() {
+    if (!this.storageFile) return;
+    try {
+      writeJsonFile(this.storageFile, [...this._keys.values()]);
+    } catch (e) {
+      this.logger.error('[idempotency] Failed to save store:', e);
+    }
+  }
+
+  _prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [key, entry] of this._keys) {
+      if (entry.createdAt < cutoff) this._keys.delete(key);
+    }
+  }
+
+  /**
+   * @returns {{ key: string, jobId: string, createdAt: number }|null}
+   */
+  get(key) {
+    if (!key) return null;
+    const entry = this._keys.get(key);
+    if (!entry) return null;
+    if (entry.createdAt < Date.now() - this.ttlMs) {
+      this._keys.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  set(key, jobId) {
+    const entry = { key, jobId, createdAt: Date.now() };
+    this._keys.delete(key); // keep insertion order = age order
+    this._keys.set(key, entry);
+    this._prune();
+    this._save();
+    return entry;
+  }
+}
+
+module.exports = { IdempotencyStore };
@@ -0,0 +1,92 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const { readJsonFile, DebouncedJsonStore } = require('./jsonFile');
+const { phoneKey } = require('./phone');
+
+/**
+ * Messages employees send to the company number (most recent `maxEntries`).
+ */
+class InboxStore {
+  constructor({
+    storageFile = null,
+    maxEntries = 10000,
+    tz = 'Africa/Casablanca',
+    saveDelayMs = 1000,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.maxEntries = Number(maxEntries) > 0 ? Number(maxEntries) : 10000;
+    this.tz = tz;
+    this.logger = logger || console;
+
+    this._messages = [];
+    this._ids = new Set();
+    this._store = new DebouncedJsonStore({
+      file: storageFile,
+      getData: () => this._messages,
+      delayMs: saveDelayMs,
+      name: 'inbox',
+      logger: this.logger,
+    });
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) {
+        this._messages = items;
+        items.forEach((m) => this._ids.add(m.id));
+      }
+    }
+  }
+
+  /**
+   * @param {Object} message - { id, chatId, from, phone, body, type, timestamp, quotedMessageId, ... }
+   * @returns {Object|null} the stored entry, null if already stored
+   */
+  add(message) {
+    if (!message?.id || this._ids.has(message.id)) return null;
+    const entry = { ...message, receivedAt: new Date().toISOString() };
+    this._messages.push(entry);
+    this._ids.add(entry.id);
+    while (this._messages.length > this.maxEntries) {
+      this._ids.delete(this._messages.shift().id);
+    }
+    this._store.schedule();
+    return entry;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.phone] - same number once parsed (international digits)
+   * @param {string} [options.date] - YYYY-MM-DD
+   * @param {string} [options.from] - YYYY-MM-DD (inclusive)
+   * @param {string} [options.to] - YYYY-MM-DD (inclusive)
+   * @param {number} [options.limit]
+   * @returns {Array} most recent first
+   */
+  list({ phone, date, from, to, limit = 100 } = {}) {
+    const key = phone ? phoneKey(phone) : null;
+    const dayOf = (m) => DateTime.fromISO(m.timestamp).setZone(this.tz).toISODate();
+
+    const result = [];
+    for (let i = this._messages.length - 1; i >= 0; i--) {
+      const m = this._messages[i];
+      if (key && (!m.phone || phoneKey(m.phone) !== key)) continue;
+      if (date || from || to) {
+        const day = dayOf(m);
+        if (date && day !== date) continue;
+        if (from && day < from) continue;
+        if (to && day > to) continue;
+      }
+      result.push(m);
+      if (limit && result.length >= limit) break;
+    }
+    return result;
+  }
+
+  flush() {
+    this._store.flush();
+  }
+}
+
+module.exports = { InboxStore };
@@ -0,0 +1,155 @@
+'use strict';
+
+const { readJsonFile, DebouncedJsonStore } = require('./jsonFile');
+
+const FINAL_STATUSES = ['sent', 'failed', 'cancelled', 'suppressed', 'skipped'];
+
+/**
+ * Tracks the outcome of every item pushed to a RateLimitedQueue, keyed by the
+ * queue job id, so callers that got a 202 can poll for
+ * scheduled/queued/sending/sent/failed/cancelled/suppressed.
+ * Queued items themselves survive restarts through the queue persistence; this
+ * store keeps their status (and finished jobs for `ttlMs`).
+ */
+class JobStore {
+  constructor({
+    storageFile = null,
+    maxEntries = 20000,
+    ttlMs = 7 * 24 * 60 * 60 * 1000,
+    saveDelayMs = 1000,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.maxEntries = Number(maxEntries) > 0 ? Number(maxEntries) : 20000;
+    this.ttlMs = Number(ttlMs) > 0 ? Number(ttlMs) : 0;
+    this.logger = logger || console;
+
+    this._jobs = new Map();
+    this._store = new DebouncedJsonStore({
+      file: storageFile,
+      getData: () => {
+        this._prune();
+        return [...this._jobs.values()];
+      },
+      delayMs: saveDelayMs,
+      name: 'jobs',
+      logger: this.logger,
+    });
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) {
+        items.forEach((job) => {
+          if (job && job.id) this._jobs.set(job.id, job);
+        });
+      }
+    }
+  }
+
+  _prune() {
+    if (this.ttlMs) {
+      const cutoff = Date.now() - this.ttlMs;
+      for (const [id, job] of this._jobs) {
+        if (FINAL_STATUSES.includes(job.status) && Date.parse(job.updatedAt) < cutoff) {
+          this._jobs.delete(id);
+        }
+      }
+    }
+    // Over maxEntries: the oldest finished jobs go, never one still queued or scheduled
+    let excess = this._jobs.size - this.maxEntries;
+    for (const [id, job] of this._jobs) {
+      if (excess <= 0) break;
+      if (!FINAL_STATUSES.includes(job.status)) continue;
+      this._jobs.delete(id);
+      excess--;
+    }
+  }
+
+  _update(id, patch) {
+    const now = new Date().toISOString();
+    const job = this._jobs.get(id) || { id, createdAt: now };
+    Object.assign(job, patch, { updatedAt: now });
+    this._jobs.set(id, job);
+    this._store.schedule();
+    return job;
+  }
+
+  /**
+   * Subscribe to a RateLimitedQueue's events.
+   */
+  track(queue) {
+    const onEnqueued = (item) => {
+      const meta = item.meta?.meta || {};
+      this._update(item.id, {
+        queue: queue.name,
+        session: meta.session || null,
+        lane: item.lane || null,
+        status: item.sendAt && item.sendAt > Date.now() ? 'scheduled' : 'queued',
+        sendAt: item.sendAt ? new Date(item.sendAt).toISOString() : null,
+        jid: item.meta?.jid || item.data?.jid || null,
+        source: meta.source || null,
+        endpoint: meta.endpoint || null,
+        taskId: meta.taskId || null,
+        batchId: meta.batchId || null,
+        idempotencyKey: meta.idempotencyKey || null,
+        attempts: item.attempts,
+        messageId: null,
+        error: null,
+      });
+    };
+    queue.on('enqueued', onEnqueued);
+    // Restored from the queue file but enqueued too shortly before the restart to be saved here
+    queue.pending().filter((item) => !this._jobs.has(item.id)).forEach(onEnqueued);
+    queue.on('sending', (item) => {
+      this._update(item.id, { status: 'sending', attempts: item.attempts });
+    });
+    queue.on('retry', (item, err) => {
+      this._update(item.id, {
+        status: 'queued',
+        attempts: item.attempts,
+        error: err?.message || String(err),
+        retryAt: item.retryAt ? new Date(item.retryAt).toISOString() : null,
+      });
+    });
+    queue.on('sent', (item, msg) => {
+      this._update(item.id, {
+        status: 'sent',
+        attempts: item.attempts,
+        messageId: msg?.id?._serialized || null,
+        error: null,
+        retryAt: null,
+        sentAt: new Date().toISOString(),
+      });
+    });
+    queue.on('failed', (item, err) => {
+      this._update(item.id, {
+        status: 'failed',
+        attempts: item.attempts,
+        error: err?.message || String(err),
+        retryAt: null,
+      });
+    });
+    queue.on('cancelled', (item) => {
+      this._update(item.id, { status: 'cancelled', retryAt: null });
+    });
+    queue.on('skipped', (item, err) => {
+      this._update(item.id, {
+        status: err?.code === 'recipient_suppressed' ? 'suppressed' : 'skipped',
+        attempts: item.attempts,
+        error: err?.message || String(err),
+        retryAt: null,
+      });
+    });
+    return this;
+  }
+
+  get(id) {
+    return this._jobs.get(id) || null;
+  }
+
+  flush() {
+    this._store.flush();
+  }
+}
+
+module.exports = { JobStore };
@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Read a JSON file, returning `fallback` when it is missing or unreadable.
+ */
+function readJsonFile(file, fallback, logger = console) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    logger?.error?.(`[json] Failed to read ${file}:`, e?.message || e);
+    return fallback;
+  }
+}
+
+/**
+ * Write JSON through a temp file + rename so a crash mid-write never leaves
+ * a truncated file behind.
+ */
+function writeJsonFile(file, data, { pretty = false } = {}) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Writes `getData()` to `file` at most once per `delayMs` for stores updated in bursts
+ * (acks, job events...), and at once on flush() (shutdown). Without `file` it does nothing.
+ */
+class DebouncedJsonStore {
+  constructor({ file = null, getData, delayMs = 1000, name = 'json', logger = console } = {}) {
+    this.file = file;
+    this.getData = getData;
+    this.delayMs = Math.max(0, Number(delayMs) || 0);
+    this.name = name;
+    this.logger = logger || console;
+    this._timer = null;
+  }
+
+  save() {
+    if (!this.file) return;
+    try {
+      writeJsonFile(this.file, this.getData());
+    } catch (e) {
+      this.logger.error(`[${this.name}] Failed to save ${this.file}:`, e);
+    }
+  }
+
+  schedule() {
+    if (!this.file || this._timer) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.save();
+    }, this.delayMs);
+    this._timer.unref?.();
+  }
+
+  flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this.save();
+  }
+}
+
+module.exports = { readJsonFile, writeJsonFile, DebouncedJsonStore };
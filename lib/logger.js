@@ -3,29 +3,287 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const readline = require('readline');
 const { DateTime } = require('luxon');
 
 const LOG_DIR = path.join(__dirname, '..', 'logs');
+// Ancien format (un tableau JSON réécrit à chaque log), migré au démarrage
 const REMINDER_LOGS_FILE = path.join(LOG_DIR, 'reminders.json');
-const MAX_LOGS = process.env.LOG_MAX ? Number(process.env.LOG_MAX) : 20000;
+const LOG_TZ = 'Africa/Casablanca';
+const LOG_FILE_RE = /^reminders-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+// Logs que le backend (MySQL) n'a pas pu écrire, renvoyés dès qu'il répond à nouveau
+const STORE_PENDING_FILE = path.join(LOG_DIR, 'store-pending.ndjson');
+// Rétention: fichiers journaliers plus vieux que LOG_RETENTION_DAYS, puis les plus anciens au-delà de LOG_MAX_BYTES
+const LOG_RETENTION_DAYS = process.env.LOG_RETENTION_DAYS ? Number(process.env.LOG_RETENTION_DAYS) : 90;
+const LOG_MAX_BYTES = process.env.LOG_MAX_BYTES ? Number(process.env.LOG_MAX_BYTES) : 200 * 1024 * 1024;
+// Logs retournés par getLogs: DEFAULT_LOGS_LIMIT sans limit, jamais plus de MAX_LOGS_LIMIT
+const DEFAULT_LOGS_LIMIT = 1000;
+const MAX_LOGS_LIMIT = 10000;
 
 // Créer le dossier logs s'il n'existe pas
 if (!fs.existsSync(LOG_DIR)) {
   fs.mkdirSync(LOG_DIR, { recursive: true });
 }
 
+function logFileFor(day) {
+  return path.join(LOG_DIR, `reminders-${day}.ndjson`);
+}
+
+// Jour du log (fuseau de son timestamp), qui donne son fichier
+function dayOf(log) {
+  const ts = String(log?.timestamp || '');
+  return /^\d{4}-\d{2}-\d{2}/.test(ts) ? ts.slice(0, 10) : DateTime.now().setZone(LOG_TZ).toISODate();
+}
+
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Fichiers de logs journaliers, du plus ancien au plus récent.
+ * @returns {Promise<Array<{ day: string, file: string }>>}
+ */
+async function listLogFiles({ date = null, from = null } = {}) {
+  let names = [];
+  try {
+    names = await fs.promises.readdir(LOG_DIR);
+  } catch (_) {
+    return [];
+  }
+  return names
+    .map((name) => LOG_FILE_RE.exec(name))
+    .filter((m) => m && (!date || m[1] === date) && (!from || m[1] >= from))
+    .map((m) => ({ day: m[1], file: path.join(LOG_DIR, m[0]) }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Lit un fichier ligne par ligne; une ligne illisible (écriture interrompue par un crash) est ignorée.
+ */
+async function readLogFile(file, onLog) {
+  const input = fs.createReadStream(file, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let log;
+      try {
+        log = JSON.parse(line);
+      } catch (_) {
+        continue;
+      }
+      onLog(log);
+    }
+  } catch (e) {
+    if (e?.code !== 'ENOENT') throw e;
+  }
+}
+
+// Écritures en ajout, une à la fois et dans l'ordre des appels
+let writeChain = Promise.resolve();
+const checkedFiles = new Set();
+let lastWriteDay = null;
+
+// Un crash pendant un ajout peut laisser une ligne incomplète: la suivante doit commencer sur une nouvelle ligne
+async function endsWithPartialLine(file) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+    const { size } = await handle.stat();
+    if (!size) return false;
+    const buffer = Buffer.alloc(1);
+    await handle.read(buffer, 0, 1, size - 1);
+    return buffer[0] !== 0x0a;
+  } catch (e) {
+    if (e?.code === 'ENOENT') return false;
+    throw e;
+  } finally {
+    await handle?.close();
+  }
+}
+
+function enqueueWrite(task) {
+  writeChain = writeChain.then(task).catch((e) => {
+    console.error('[logger] Erreur écriture log:', e);
+  });
+  return writeChain;
+}
+
+async function appendLine(file, logEntry) {
+  let prefix = '';
+  if (!checkedFiles.has(file)) {
+    if (await endsWithPartialLine(file)) prefix = '\n';
+    checkedFiles.add(file);
+  }
+  await fs.promises.appendFile(file, `${prefix}${JSON.stringify(logEntry)}\n`, 'utf8');
+}
+
+async function appendToFile(logEntry) {
+  const day = dayOf(logEntry);
+  await appendLine(logFileFor(day), logEntry);
+  // Nouveau jour: appliquer la rétention
+  if (lastWriteDay !== day) {
+    lastWriteDay = day;
+    await pruneLogs();
+  }
+}
+
+// Backend optionnel (MySQL: lib/mysqlLogStore.js) avec insert(entry), query(options) et clear();
+// les fichiers journaliers restent le secours quand il ne répond pas
+let logStore = null;
+let storePending = fs.existsSync(STORE_PENDING_FILE);
+
+function setLogStore(store) {
+  logStore = store || null;
+  // Reste d'une panne avant le redémarrage
+  if (logStore && storePending) enqueueWrite(replayPendingLogs);
+}
+
+// Renvoie au backend les logs gardés pendant sa panne; s'arrête au premier échec (réessayé au log suivant)
+async function replayPendingLogs() {
+  const pending = [];
+  await readLogFile(STORE_PENDING_FILE, (log) => pending.push(log));
+  let sent = 0;
+  try {
+    for (const entry of pending) {
+      await logStore.insert(entry);
+      sent++;
+    }
+  } catch (e) {
+    console.warn(`[logger] Renvoi vers ${logStore.name} interrompu:`, e?.message || e);
+  }
+  if (sent === pending.length) {
+    await fs.promises.rm(STORE_PENDING_FILE, { force: true });
+    checkedFiles.delete(STORE_PENDING_FILE);
+    storePending = false;
+  } else {
+    writeFileAtomic(STORE_PENDING_FILE, pending.slice(sent).map((log) => `${JSON.stringify(log)}\n`).join(''));
+  }
+  if (sent) console.log(`[logger] ${sent} log(s) gardés pendant la panne renvoyés vers ${logStore.name}`);
+}
+
+function logBackend() {
+  return logStore ? logStore.name : 'file';
+}
+
+function appendLog(logEntry) {
+  return enqueueWrite(async () => {
+    if (logStore) {
+      let inserted = false;
+      try {
+        await logStore.insert(logEntry);
+        inserted = true;
+      } catch (e) {
+        console.warn(`[logger] Écriture ${logStore.name} impossible, log gardé dans les fichiers:`, e?.message || e);
+      }
+      if (inserted) {
+        if (storePending) await replayPendingLogs();
+        return;
+      }
+      // Lisible dans les fichiers si le backend reste indisponible, renvoyé quand il répond
+      await appendLine(STORE_PENDING_FILE, logEntry);
+      storePending = true;
+    }
+    await appendToFile(logEntry);
+  });
+}
+
 /**
- * Enregistre un log de reminder
+ * Attend la fin des écritures en cours.
+ */
+function flushLogs() {
+  return writeChain;
+}
+
+/**
+ * Supprime les fichiers plus vieux que `retentionDays`, puis les plus anciens tant que le total
+ * dépasse `maxBytes` (le fichier du jour est toujours gardé). 0 désactive une limite.
+ * @returns {Promise<number>} nombre de fichiers supprimés
+ */
+async function pruneLogs({ retentionDays = LOG_RETENTION_DAYS, maxBytes = LOG_MAX_BYTES } = {}) {
+  const files = await listLogFiles();
+  const now = DateTime.now().setZone(LOG_TZ);
+  const cutoff = now.minus({ days: retentionDays }).toISODate();
+  const today = now.toISODate();
+  const kept = [];
+  let removed = 0;
+
+  for (const f of files) {
+    if (retentionDays > 0 && f.day < cutoff) {
+      await fs.promises.rm(f.file, { force: true });
+      removed++;
+    } else {
+      kept.push(f);
+    }
+  }
+
+  if (maxBytes > 0) {
+    const sizes = await Promise.all(kept.map((f) => fs.promises.stat(f.file).then((st) => st.size, () => 0)));
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    for (let i = 0; i < kept.length && total > maxBytes && kept[i].day < today; i++) {
+      await fs.promises.rm(kept[i].file, { force: true });
+      total -= sizes[i];
+      removed++;
+    }
+  }
+
+  if (removed) console.log(`[logger] ${removed} ancien(s) fichier(s) de logs supprimé(s)`);
+  return removed;
+}
+
+/**
+ * Migration unique de l'ancien logs/reminders.json vers les fichiers journaliers;
+ * l'ancien fichier est gardé sous reminders.json.migrated.
+ * @returns {{ entries: number, days: number }|null}
+ */
+function migrateLegacyLogs() {
+  if (!fs.existsSync(REMINDER_LOGS_FILE)) return null;
+  let logs;
+  try {
+    logs = JSON.parse(fs.readFileSync(REMINDER_LOGS_FILE, 'utf8'));
+  } catch (e) {
+    console.error(`[logger] ${REMINDER_LOGS_FILE} illisible, migration ignorée:`, e.message);
+    return null;
+  }
+  if (!Array.isArray(logs)) logs = [];
+
+  const byDay = new Map();
+  for (const log of logs) {
+    if (!log || typeof log !== 'object') continue;
+    const day = dayOf(log);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(JSON.stringify(log));
+  }
+
+  for (const [day, lines] of byDay) {
+    const file = logFileFor(day);
+    const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    // Déjà migré (migration interrompue puis relancée)
+    if (existing.startsWith(`${lines[0]}\n`)) continue;
+    // Les anciens logs précèdent tout ce qui a été ajouté depuis
+    writeFileAtomic(file, `${lines.join('\n')}\n${existing}`);
+  }
+
+  fs.renameSync(REMINDER_LOGS_FILE, `${REMINDER_LOGS_FILE}.migrated`);
+  console.log(`[logger] ${logs.length} log(s) migré(s) de reminders.json vers ${byDay.size} fichier(s) journalier(s)`);
+  return { entries: logs.length, days: byDay.size };
+}
+
+/**
+ * Enregistre un log de reminder (ajouté au fichier du jour, logs/reminders-YYYY-MM-DD.ndjson)
  * @param {Object} logData - Les données du log
  * @param {string} logData.type - Type de log: 'reminder_start', 'reminder_success', 'reminder_error', 'reminder_complete'
  * @param {string} logData.date - Date du log (ISO format)
  * @param {Object} logData.request - La requête (tasks à envoyer)
  * @param {Object} logData.response - La réponse (résultats)
  * @param {string} [logData.error] - Message d'erreur si applicable
+ * @returns {Object|null} le log, écrit en arrière-plan (flushLogs() pour l'attendre)
  */
 function logReminder(logData) {
   try {
-    const timestamp = DateTime.now().setZone('Africa/Casablanca').toISO();
+    const timestamp = DateTime.now().setZone(LOG_TZ).toISO();
     
     const logEntry = {
       timestamp,
@@ -36,29 +294,7 @@ function logReminder(logData) {
       error: logData.error || null,
     };
 
-    // Lire les logs existants
-    let logs = [];
-    if (fs.existsSync(REMINDER_LOGS_FILE)) {
-      try {
-        const content = fs.readFileSync(REMINDER_LOGS_FILE, 'utf8');
-        logs = JSON.parse(content);
-      } catch (e) {
-        console.warn('[logger] Erreur lecture logs existants:', e.message);
-        logs = [];
-      }
-    }
-
-    // Ajouter le nouveau log
-    logs.push(logEntry);
-
-    // Limiter le nombre de logs (garder les plus récents)
-    if (Number.isFinite(MAX_LOGS) && MAX_LOGS > 0 && logs.length > MAX_LOGS) {
-      logs = logs.slice(-MAX_LOGS);
-    }
-
-    // Écrire les logs
-    fs.writeFileSync(REMINDER_LOGS_FILE, JSON.stringify(logs, null, 2), 'utf8');
-    
+    appendLog(logEntry);
     return logEntry;
   } catch (e) {
     console.error('[logger] Erreur écriture log:', e);
@@ -103,27 +339,23 @@ async function backfillOldRemindersFromWhatsApp({
 } = {}) {
   if (!client) throw new Error('client_required');
 
-  // Charger logs existants
-  let logs = [];
-  if (fs.existsSync(REMINDER_LOGS_FILE)) {
-    try {
-      logs = JSON.parse(fs.readFileSync(REMINDER_LOGS_FILE, 'utf8'));
-      if (!Array.isArray(logs)) logs = [];
-    } catch (e) {
-      logs = [];
-    }
-  }
-
-  const existingIds = new Set(
-    logs
-      .map((l) => l && (l.id || l.meta?.backfillId))
-      .filter(Boolean)
-  );
-
   const now = DateTime.now().setZone(tz);
   const since = now.minus({ days: Number(sinceDays) || 0 }).startOf('day');
   const sinceTs = Math.floor(since.toMillis() / 1000);
 
+  // Ids déjà présents sur la période (la veille aussi: les fuseaux peuvent différer)
+  const existingIds = new Set();
+  await getLogs({
+    type: 'reminder_success',
+    from: since.minus({ days: 1 }).toISODate(),
+    filter: (l) => {
+      const id = l.id || l.meta?.backfillId;
+      if (id) existingIds.add(id);
+      return false;
+    },
+  });
+  const byDay = new Map();
+
   let scannedChats = 0;
   let scannedMessages = 0;
   let matchedReminders = 0;
@@ -163,7 +395,7 @@ async function backfillOldRemindersFromWhatsApp({
         if (existingIds.has(id)) continue;
 
         existingIds.add(id);
-        logs.push({
+        const entry = {
           id,
           timestamp: isoTs,
           type: 'reminder_success',
@@ -172,7 +404,10 @@ async function backfillOldRemindersFromWhatsApp({
           response: { success: true, jid: tel ? `${tel}@c.us` : null },
           error: null,
           meta: { source: 'whatsapp_backfill', backfillId: id },
-        });
+        };
+        const day = dayOf(entry);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(entry);
         inserted++;
       }
     } catch (e) {
@@ -180,12 +415,24 @@ async function backfillOldRemindersFromWhatsApp({
     }
   }
 
-  // Trier par timestamp croissant, puis limiter
-  logs.sort((a, b) => String(a?.timestamp || '').localeCompare(String(b?.timestamp || '')));
-  if (Number.isFinite(MAX_LOGS) && MAX_LOGS > 0 && logs.length > MAX_LOGS) {
-    logs = logs.slice(-MAX_LOGS);
-  }
-  fs.writeFileSync(REMINDER_LOGS_FILE, JSON.stringify(logs, null, 2), 'utf8');
+  // Insérer dans les fichiers des jours concernés, triés par timestamp (entre deux ajouts)
+  await enqueueWrite(async () => {
+    if (logStore) {
+      for (const entries of byDay.values()) {
+        for (const entry of entries) await logStore.insert(entry);
+      }
+      return;
+    }
+    for (const [day, entries] of byDay) {
+      const file = logFileFor(day);
+      const logs = [];
+      if (fs.existsSync(file)) await readLogFile(file, (l) => logs.push(l));
+      logs.push(...entries);
+      logs.sort((a, b) => String(a?.timestamp || '').localeCompare(String(b?.timestamp || '')));
+      writeFileAtomic(file, logs.map((l) => `${JSON.stringify(l)}\n`).join(''));
+      checkedFiles.add(file);
+    }
+  });
 
   return {
     ok: true,
@@ -195,47 +442,58 @@ async function backfillOldRemindersFromWhatsApp({
     scannedMessages,
     matchedReminders,
     inserted,
-    totalLogsAfter: logs.length,
+    days: [...byDay.keys()].sort(),
   };
 }
 
 /**
- * Récupère les logs
+ * Récupère les logs, fichier par fichier du plus récent au plus ancien, sans tout charger en mémoire
  * @param {Object} options - Options de filtrage
- * @param {number} [options.limit] - Nombre maximum de logs à retourner
- * @param {string} [options.type] - Filtrer par type de log
- * @param {string} [options.date] - Filtrer par date (YYYY-MM-DD)
- * @returns {Array} Liste des logs
+ * @param {number} [options.limit] - Nombre maximum de logs à retourner (DEFAULT_LOGS_LIMIT par défaut, MAX_LOGS_LIMIT au plus)
+ * @param {string|string[]} [options.type] - Filtrer par type(s) de log
+ * @param {string} [options.date] - Filtrer par date (YYYY-MM-DD): seul le fichier de ce jour est lu
+ * @param {string} [options.from] - À partir de cette date (YYYY-MM-DD)
+ * @param {string} [options.phone] - Numéro (request.tel), cherché sur la colonne indexée du backend;
+ *   les fichiers n'ont pas d'index: `filter` doit aussi le vérifier
+ * @param {(log: Object) => boolean} [options.filter] - Filtre supplémentaire
+ * @returns {Promise<Array>} Liste des logs (plus récent en premier)
  */
-function getLogs(options = {}) {
-  try {
-    if (!fs.existsSync(REMINDER_LOGS_FILE)) {
-      return [];
-    }
-
-    const content = fs.readFileSync(REMINDER_LOGS_FILE, 'utf8');
-    let logs = JSON.parse(content);
-
-    // Filtrer par type
-    if (options.type) {
-      logs = logs.filter(log => log.type === options.type);
-    }
-
-    // Filtrer par date
-    if (options.date) {
-      logs = logs.filter(log => {
-        const logDate = DateTime.fromISO(log.timestamp).toISODate();
-        return logDate === options.date;
+async function getLogs(options = {}) {
+  const limit = Math.min(Math.floor(Number(options.limit)) || DEFAULT_LOGS_LIMIT, MAX_LOGS_LIMIT);
+  if (logStore) {
+    try {
+      return await logStore.query({
+        limit,
+        type: options.type,
+        date: options.date,
+        from: options.from,
+        phone: options.phone,
+        filter: options.filter,
       });
+    } catch (e) {
+      console.warn(`[logger] Lecture ${logStore.name} impossible, lecture des fichiers:`, e?.message || e);
     }
-
-    // Limiter le nombre de résultats (les plus récents)
-    if (options.limit) {
-      logs = logs.slice(-options.limit);
+  }
+  try {
+    const types = options.type ? [].concat(options.type) : null;
+    const result = [];
+
+    const files = await listLogFiles({ date: options.date || null, from: options.from || null });
+    for (const { file } of files.reverse()) {
+      if (result.length >= limit) break;
+      // Seuls les plus récents du fichier encore nécessaires sont gardés
+      const wanted = limit - result.length;
+      const matches = [];
+      await readLogFile(file, (log) => {
+        if (types && !types.includes(log.type)) return;
+        if (options.date && dayOf(log) !== options.date) return;
+        if (options.filter && !options.filter(log)) return;
+        matches.push(log);
+        if (matches.length > wanted) matches.shift();
+      });
+      result.push(...matches.reverse());
     }
-
-    // Retourner dans l'ordre inverse (plus récent en premier)
-    return logs.reverse();
+    return result;
   } catch (e) {
     console.error('[logger] Erreur lecture logs:', e);
     return [];
@@ -243,15 +501,18 @@ function getLogs(options = {}) {
 }
 
 /**
- * Supprime tous les logs
+ * Supprime tous les logs (fichiers et backend)
+ * @returns {Promise<boolean>}
  */
-function clearLogs() {
+async function clearLogs() {
   try {
-    if (fs.existsSync(REMINDER_LOGS_FILE)) {
-      fs.unlinkSync(REMINDER_LOGS_FILE);
-      return true;
-    }
-    return false;
+    const names = fs.readdirSync(LOG_DIR).filter((name) => LOG_FILE_RE.test(name));
+    names.forEach((name) => fs.unlinkSync(path.join(LOG_DIR, name)));
+    fs.rmSync(STORE_PENDING_FILE, { force: true });
+    storePending = false;
+    checkedFiles.clear();
+    const cleared = logStore ? await logStore.clear() : false;
+    return cleared || names.length > 0;
   } catch (e) {
     console.error('[logger] Erreur suppression logs:', e);
     return false;
@@ -260,70 +521,70 @@ function clearLogs() {
 
 // Fonction getLogsStats supprimée - travail uniquement avec nouveaux messages JSON
 
+// Transformer pour extraire les infos importantes
+function toSentMessage(log) {
+  const timestamp = log.timestamp;
+  const tel = log.request?.tel || 'Inconnu';
+  const taskId = log.request?.taskId || null;
+  // Digest reminders cover several tasks
+  const taskIds = log.request?.taskIds || (taskId ? [taskId] : []);
+  const message = log.request?.message || '';
+  const jid = log.response?.jid || null;
+  const messageId = log.response?.messageId || null;
+
+  return {
+    timestamp,
+    date: DateTime.fromISO(timestamp).toFormat('dd/MM/yyyy HH:mm:ss'),
+    tel,
+    taskId,
+    taskIds,
+    message,
+    jid,
+    messageId
+  };
+}
+
 /**
  * Récupère la liste des messages envoyés avec détails
  * @param {Object} options - Options de filtrage
  * @param {number} [options.limit] - Nombre maximum de messages à retourner
  * @param {string} [options.date] - Filtrer par date (YYYY-MM-DD)
- * @returns {Array} Liste des messages envoyés
+ * @param {string} [options.phone] - Numéro, voir getLogs
+ * @param {(message: Object) => boolean} [options.filter] - Filtre sur le message transformé
+ * @returns {Promise<Array>} Liste des messages envoyés (plus récent en premier)
  */
-function getSentMessages(options = {}) {
+async function getSentMessages(options = {}) {
   try {
-    if (!fs.existsSync(REMINDER_LOGS_FILE)) {
-      return [];
-    }
-
-    const content = fs.readFileSync(REMINDER_LOGS_FILE, 'utf8');
-    let logs = JSON.parse(content);
-
-    // Filtrer uniquement les messages envoyés avec succès
-    let messages = logs.filter(log => log.type === 'reminder_success');
-
-    // Filtrer par date si spécifié
-    if (options.date) {
-      messages = messages.filter(log => {
-        const logDate = DateTime.fromISO(log.timestamp).toISODate();
-        return logDate === options.date;
-      });
-    }
-
-    // Transformer pour extraire les infos importantes
-    const result = messages.map(log => {
-      const timestamp = log.timestamp;
-      const tel = log.request?.tel || 'Inconnu';
-      const taskId = log.request?.taskId || null;
-      const message = log.request?.message || '';
-      const jid = log.response?.jid || null;
-
-      return {
-        timestamp,
-        date: DateTime.fromISO(timestamp).toFormat('dd/MM/yyyy HH:mm:ss'),
-        tel,
-        taskId,
-        message,
-        jid
-      };
+    // Uniquement les messages envoyés avec succès
+    const logs = await getLogs({
+      type: 'reminder_success',
+      date: options.date,
+      limit: options.limit,
+      phone: options.phone,
+      filter: options.filter ? (log) => options.filter(toSentMessage(log)) : null
     });
-
-    // Limiter le nombre de résultats (les plus récents)
-    if (options.limit) {
-      return result.slice(-options.limit).reverse();
-    }
-
-    // Retourner dans l'ordre inverse (plus récent en premier)
-    return result.reverse();
+    return logs.map(toSentMessage);
   } catch (e) {
     console.error('[logger] Erreur récupération messages envoyés:', e);
     return [];
   }
 }
 
+// Migration au chargement, avant le premier ajout; puis rétention
+migrateLegacyLogs();
+enqueueWrite(() => pruneLogs());
+
 module.exports = {
   logReminder,
   getLogs,
   getSentMessages,
   clearLogs,
   backfillOldRemindersFromWhatsApp,
+  flushLogs,
+  pruneLogs,
+  setLogStore,
+  logBackend,
+  migrateLegacyLogs,
   LOG_DIR,
   REMINDER_LOGS_FILE
 };
@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIME_BY_EXT = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.zip': 'application/zip',
+};
+
+function mediaError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function guessMimetype(filename) {
+  return MIME_BY_EXT[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Media attached to queued messages is kept on disk and referenced from the
+ * queue item ({ kind, path, filename, mimetype, size }), so the persisted
+ * queue never holds the base64 content itself.
+ * - kind 'spool': uploaded content written to `spoolDir`, deleted once sent
+ * - kind 'file': a file inside `allowedDir`, left untouched
+ */
+class MediaStore {
+  constructor({
+    spoolDir,
+    allowedDir = null,
+    maxBytes = 16 * 1024 * 1024,
+    MessageMedia,
+    logger = console,
+  } = {}) {
+    this.spoolDir = spoolDir;
+    this.allowedDir = allowedDir ? path.resolve(allowedDir) : null;
+    this.maxBytes = Number(maxBytes) > 0 ? Number(maxBytes) : 16 * 1024 * 1024;
+    this.MessageMedia = MessageMedia;
+    this.logger = logger || console;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.data - base64 content (a data: URL prefix is accepted)
+   * @param {string} params.filename
+   * @param {string} [params.mimetype]
+   */
+  fromBase64({ data, filename, mimetype }) {
+    const raw = String(data || '').replace(/^data:[^;]+;base64,/, '').replace(/\s+/g, '');
+    if (!raw || !/^[A-Za-z0-9+/]+={0,2}$/.test(raw)) throw mediaError('invalid_base64');
+    const buffer = Buffer.from(raw, 'base64');
+    if (!buffer.length) throw mediaError('invalid_base64');
+    if (buffer.length > this.maxBytes) throw mediaError('media_too_large');
+
+    fs.mkdirSync(this.spoolDir, { recursive: true });
+    const file = path.join(this.spoolDir, crypto.randomUUID());
+    fs.writeFileSync(file, buffer);
+
+    return {
+      kind: 'spool',
+      path: file,
+      filename: filename || path.basename(file),
+      mimetype: mimetype || guessMimetype(filename),
+      size: buffer.length,
+    };
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.path - path relative to allowedDir
+   * @param {string} [params.filename]
+   * @param {string} [params.mimetype]
+   */
+  fromAllowedFile({ path: relPath, filename, mimetype }) {
+    if (!this.allowedDir) throw mediaError('media_dir_not_configured');
+    const file = path.resolve(this.allowedDir, String(relPath || ''));
+    // Refuse anything escaping the allowed directory (../, absolute paths, symlinks)
+    if (!file.startsWith(this.allowedDir + path.sep)) throw mediaError('media_path_not_allowed');
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) throw mediaError('media_file_not_found');
+    const real = fs.realpathSync(file);
+    if (!real.startsWith(fs.realpathSync(this.allowedDir) + path.sep)) throw mediaError('media_path_not_allowed');
+
+    const size = fs.statSync(real).size;
+    if (size > this.maxBytes) throw mediaError('media_too_large');
+
+    const name = filename || path.basename(real);
+    return {
+      kind: 'file',
+      path: real,
+      filename: name,
+      mimetype: mimetype || guessMimetype(name),
+      size,
+    };
+  }
+
+  /**
+   * Build the whatsapp-web.js MessageMedia for a reference (at send time).
+   */
+  load(ref) {
+    if (!ref?.path || !fs.existsSync(ref.path)) throw mediaError('media_file_not_found', `Media file missing: ${ref?.path}`);
+    const data = fs.readFileSync(ref.path).toString('base64');
+    return new this.MessageMedia(ref.mimetype, data, ref.filename, ref.size);
+  }
+
+  /**
+   * Delete spooled content once it is no longer needed.
+   */
+  release(ref) {
+    if (ref?.kind !== 'spool' || !ref.path) return;
+    // Never delete outside the spool directory
+    if (path.dirname(path.resolve(ref.path)) !== path.resolve(this.spoolDir)) return;
+    try {
+      if (fs.existsSync(ref.path)) fs.unlinkSync(ref.path);
+    } catch (e) {
+      this.logger.warn('[media] Failed to delete spooled file:', e?.message);
+    }
+  }
+}
+
+module.exports = { MediaStore, guessMimetype };
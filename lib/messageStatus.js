@@ -0,0 +1,135 @@
+'use strict';
+
+const { readJsonFile, DebouncedJsonStore } = require('./jsonFile');
+
+// whatsapp-web.js MessageAck values -> status names exposed by the API
+const ACK_STATUS = {
+  '-1': 'failed',
+  0: 'sent',
+  1: 'server',
+  2: 'delivered',
+  3: 'read',
+  4: 'read', // ACK_PLAYED (voice/video) counts as read
+};
+
+function ackToStatus(ack) {
+  return ACK_STATUS[ack] || 'unknown';
+}
+
+/**
+ * Keeps the delivery/read state of every outgoing message, keyed by the
+ * serialized WhatsApp message id. Persisted so HR can still check a reminder
+ * after a restart.
+ */
+class MessageStatusStore {
+  constructor({
+    storageFile = null,
+    maxEntries = 5000,
+    saveDelayMs = 1000,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.maxEntries = Number.isFinite(Number(maxEntries)) && Number(maxEntries) > 0 ? Number(maxEntries) : 5000;
+    this.logger = logger || console;
+
+    this._entries = new Map();
+    // Ack events come in bursts; batch the disk writes.
+    this._store = new DebouncedJsonStore({
+      file: storageFile,
+      getData: () => [...this._entries.values()],
+      delayMs: saveDelayMs,
+      name: 'message-status',
+      logger: this.logger,
+    });
+
+    if (this.storageFile) {
+      this._load();
+    }
+  }
+
+  _load() {
+    const items = readJsonFile(this.storageFile, [], this.logger);
+    if (Array.isArray(items)) {
+      items.forEach((entry) => {
+        if (entry && entry.id) this._entries.set(entry.id, entry);
+      });
+    }
+  }
+
+  _prune() {
+    // Map keeps insertion order: oldest messages go first
+    while (this._entries.size > this.maxEntries) {
+      const oldest = this._entries.keys().next().value;
+      this._entries.delete(oldest);
+    }
+  }
+
+  _upsert(id, jid) {
+    let entry = this._entries.get(id);
+    if (!entry) {
+      const now = new Date().toISOString();
+      entry = { id, jid: jid || null, status: null, ack: null, meta: {}, history: [], createdAt: now, updatedAt: now };
+      this._entries.set(id, entry);
+      this._prune();
+    }
+    if (jid && !entry.jid) entry.jid = jid;
+    return entry;
+  }
+
+  _applyAck(entry, ack) {
+    const n = Number(ack);
+    if (!Number.isFinite(n)) return;
+    const status = ackToStatus(n);
+    const now = new Date().toISOString();
+
+    // Acks may arrive out of order: never move a message back from read to delivered.
+    // A failure always wins.
+    const isUpgrade = entry.ack === null || n === -1 || (entry.ack !== -1 && n > entry.ack);
+    if (!entry.history.some((h) => h.ack === n)) {
+      entry.history.push({ status, ack: n, at: now });
+    }
+    if (isUpgrade) {
+      entry.ack = n;
+      entry.status = status;
+    }
+    entry.updatedAt = now;
+  }
+
+  /**
+   * Record a message returned by client.sendMessage().
+   * @param {Object} msg - whatsapp-web.js Message
+   * @param {Object} [meta] - context kept with the status (source, taskId, ...)
+   */
+  recordSent(msg, meta = {}) {
+    const id = msg?.id?._serialized;
+    if (!id) return null;
+    const entry = this._upsert(id, msg.to || meta.jid);
+    entry.meta = { ...entry.meta, ...meta };
+    this._applyAck(entry, Number.isFinite(Number(msg.ack)) ? msg.ack : 0);
+    this._store.schedule();
+    return entry;
+  }
+
+  /**
+   * Handler for the client 'message_ack' event.
+   */
+  recordAck(msg, ack) {
+    if (!msg?.fromMe) return null;
+    const id = msg.id?._serialized;
+    if (!id) return null;
+    const entry = this._upsert(id, msg.to);
+    this._applyAck(entry, ack);
+    this._store.schedule();
+    return entry;
+  }
+
+  get(id) {
+    return this._entries.get(id) || null;
+  }
+
+  flush() {
+    this._store.flush();
+  }
+}
+
+module.exports = { MessageStatusStore, ackToStatus };
@@ -0,0 +1,182 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const phoneLib = require('./phone');
+
+const TABLE_RE = /^\w+$/;
+
+// Task ids of a log: one task (taskId) or a digest (taskIds)
+function taskIdsOf(entry) {
+  const request = entry.request || {};
+  const ids = request.taskIds || (request.taskId !== undefined && request.taskId !== null ? [request.taskId] : []);
+  return [...new Set([].concat(ids).filter((id) => id !== undefined && id !== null).map(String))].slice(0, 1000);
+}
+
+/**
+ * Send logs in MySQL (LOG_BACKEND=mysql): one row per log in `table` (the whole entry as JSON
+ * plus indexed columns) and one row per task in `<table>_tasks`, so sirh-back can query the
+ * history by phone, date, type or task. Plugged into lib/logger.js with setLogStore().
+ */
+class MysqlLogStore {
+  constructor({
+    pool,
+    table = 'wa_logs',
+    phoneKey = phoneLib.phoneKey,  // tel → international digits (indexed `phone` column)
+    batchSize = 500,
+    logger = console,
+  } = {}) {
+    if (!pool) throw new Error('pool_required');
+    if (!TABLE_RE.test(table)) throw new Error(`Invalid log table name "${table}"`);
+    this.name = 'mysql';
+    this.pool = pool;
+    this.table = table;
+    this.tasksTable = `${table}_tasks`;
+    this.phoneKey = phoneKey;
+    this.batchSize = Math.max(1, Number(batchSize) || 500);
+    this.logger = logger || console;
+  }
+
+  /**
+   * Create the tables and their indexes when missing.
+   */
+  async init() {
+    await this.pool.query(`CREATE TABLE IF NOT EXISTS \`${this.table}\` (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      logged_at DATETIME(3) NOT NULL,
+      log_date DATE NOT NULL,
+      type VARCHAR(40) NOT NULL,
+      phone VARCHAR(32) NULL,
+      source VARCHAR(40) NULL,
+      rule_id VARCHAR(64) NULL,
+      message_id VARCHAR(191) NULL,
+      error TEXT NULL,
+      entry LONGTEXT NOT NULL,
+      PRIMARY KEY (id),
+      KEY idx_${this.table}_phone (phone, logged_at),
+      KEY idx_${this.table}_date (log_date, logged_at),
+      KEY idx_${this.table}_type (type, logged_at),
+      KEY idx_${this.table}_logged_at (logged_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+    await this.pool.query(`CREATE TABLE IF NOT EXISTS \`${this.tasksTable}\` (
+      log_id BIGINT UNSIGNED NOT NULL,
+      task_id VARCHAR(64) NOT NULL,
+      PRIMARY KEY (log_id, task_id),
+      KEY idx_${this.tasksTable}_task (task_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  }
+
+  _row(entry) {
+    const ts = DateTime.fromISO(String(entry.timestamp || ''), { setZone: true });
+    const request = entry.request || {};
+    const phone = request.tel ? this.phoneKey(request.tel) : null;
+    return {
+      logged_at: ts.isValid ? ts.toJSDate() : new Date(),
+      // Day of the timestamp in its own zone, like the daily log files
+      log_date: ts.isValid ? ts.toISODate() : DateTime.now().toISODate(),
+      type: String(entry.type || 'info').slice(0, 40),
+      phone: phone ? String(phone).slice(0, 32) : null,
+      source: request.source ? String(request.source).slice(0, 40) : null,
+      rule_id: request.rule ? String(request.rule).slice(0, 64) : null,
+      message_id: entry.response?.messageId ? String(entry.response.messageId).slice(0, 191) : null,
+      error: entry.error ? String(entry.error) : null,
+      entry: JSON.stringify(entry),
+    };
+  }
+
+  /**
+   * The log row and its task rows in one transaction: a failed insert leaves nothing behind
+   * (the logger then keeps the entry in the files).
+   */
+  async insert(entry) {
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [result] = await conn.query(`INSERT INTO \`${this.table}\` SET ?`, [this._row(entry)]);
+      const taskIds = taskIdsOf(entry);
+      if (taskIds.length) {
+        await conn.query(
+          `INSERT IGNORE INTO \`${this.tasksTable}\` (log_id, task_id) VALUES ?`,
+          [taskIds.map((taskId) => [result.insertId, taskId.slice(0, 64)])]
+        );
+      }
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback().catch(() => {});
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+
+  /**
+   * Logs, most recent first, read by pages of at most `batchSize` rows (`filter` runs on each entry).
+   * `phone` (any format) is compared through phoneKey with the indexed `phone` column.
+   * @param {Object} options - { limit, type (string|string[]), date, from (YYYY-MM-DD), phone, filter }
+   * @returns {Promise<Array>}
+   */
+  async query({ limit = null, type = null, date = null, from = null, phone = null, filter = null } = {}) {
+    const max = Number(limit) > 0 ? Number(limit) : Infinity;
+    const where = [];
+    const params = [];
+    if (phone) {
+      where.push('phone = ?');
+      params.push(String(this.phoneKey(phone)).slice(0, 32));
+    }
+    if (type) {
+      where.push('type IN (?)');
+      params.push([].concat(type));
+    }
+    if (date) {
+      where.push('log_date = ?');
+      params.push(date);
+    }
+    if (from) {
+      where.push('log_date >= ?');
+      params.push(from);
+    }
+
+    const result = [];
+    let cursor = null;
+    while (result.length < max) {
+      const clauses = [...where];
+      const values = [...params];
+      if (cursor) {
+        clauses.push('(logged_at < ? OR (logged_at = ? AND id < ?))');
+        values.push(cursor.logged_at, cursor.logged_at, cursor.id);
+      }
+      const sql = `SELECT id, logged_at, entry FROM \`${this.table}\``
+        + (clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '')
+        + ' ORDER BY logged_at DESC, id DESC LIMIT ?';
+      // No more rows than the caller still needs
+      const pageSize = Math.min(this.batchSize, max - result.length);
+      const [rows] = await this.pool.query(sql, [...values, pageSize]);
+
+      for (const row of rows) {
+        let log;
+        try {
+          log = typeof row.entry === 'string' ? JSON.parse(row.entry) : row.entry;
+        } catch (_) {
+          continue;
+        }
+        if (filter && !filter(log)) continue;
+        result.push(log);
+        if (result.length >= max) break;
+      }
+      if (rows.length < pageSize) break;
+      cursor = rows[rows.length - 1];
+    }
+    return result;
+  }
+
+  /**
+   * Delete every log.
+   * @returns {Promise<boolean>} whether there was something to delete
+   */
+  async clear() {
+    await this.pool.query(`DELETE FROM \`${this.tasksTable}\``);
+    const [result] = await this.pool.query(`DELETE FROM \`${this.table}\``);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = { MysqlLogStore };
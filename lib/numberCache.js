@@ -0,0 +1,107 @@
+'use strict';
+
+const { readJsonFile, DebouncedJsonStore } = require('./jsonFile');
+
+/**
+ * Whether a phone number has a WhatsApp account (client.getNumberId), cached per
+ * number. Numbers found are kept `ttlMs`, missing ones `missTtlMs` (someone may
+ * install WhatsApp later).
+ */
+class NumberCache {
+  constructor({
+    storageFile = null,
+    ttlMs = 7 * 24 * 60 * 60 * 1000,
+    missTtlMs = 24 * 60 * 60 * 1000,
+    maxEntries = 20000,
+    saveDelayMs = 1000,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.ttlMs = Number(ttlMs) > 0 ? Number(ttlMs) : 7 * 24 * 60 * 60 * 1000;
+    this.missTtlMs = Number(missTtlMs) >= 0 ? Number(missTtlMs) : 24 * 60 * 60 * 1000;
+    this.maxEntries = Number(maxEntries) > 0 ? Number(maxEntries) : 20000;
+    this.logger = logger || console;
+
+    this._entries = new Map();
+    this._pending = new Map();
+    this._store = new DebouncedJsonStore({
+      file: storageFile,
+      getData: () => [...this._entries.values()],
+      delayMs: saveDelayMs,
+      name: 'numbers',
+      logger: this.logger,
+    });
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) {
+        items.forEach((entry) => {
+          if (entry && entry.phone) this._entries.set(entry.phone, entry);
+        });
+      }
+      this._prune();
+    }
+  }
+
+  _isFresh(entry, now = Date.now()) {
+    return entry.checkedAt >= now - (entry.exists ? this.ttlMs : this.missTtlMs);
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [phone, entry] of this._entries) {
+      if (!this._isFresh(entry, now)) this._entries.delete(phone);
+    }
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} phone - digits, international format
+   * @returns {{ phone: string, exists: boolean, jid: string|null, checkedAt: number }|null}
+   */
+  get(phone) {
+    const entry = this._entries.get(phone);
+    if (!entry) return null;
+    if (!this._isFresh(entry)) {
+      this._entries.delete(phone);
+      return null;
+    }
+    return entry;
+  }
+
+  set(phone, jid) {
+    const entry = { phone, exists: !!jid, jid: jid || null, checkedAt: Date.now() };
+    this._entries.delete(phone); // keep insertion order = age order
+    this._entries.set(phone, entry);
+    this._prune();
+    this._store.schedule();
+    return entry;
+  }
+
+  /**
+   * Cached entry, or ask `resolveJid(phone)` (→ serialized JID or null). Concurrent
+   * checks of the same number share one lookup; lookup errors are not cached.
+   * @returns {Promise<{ phone: string, exists: boolean, jid: string|null, checkedAt: number, cached: boolean }>}
+   */
+  async check(phone, resolveJid, { refresh = false } = {}) {
+    const cached = refresh ? null : this.get(phone);
+    if (cached) return { ...cached, cached: true };
+
+    if (!this._pending.has(phone)) {
+      const pending = Promise.resolve()
+        .then(() => resolveJid(phone))
+        .then((jid) => this.set(phone, jid))
+        .finally(() => this._pending.delete(phone));
+      this._pending.set(phone, pending);
+    }
+    return { ...(await this._pending.get(phone)), cached: false };
+  }
+
+  flush() {
+    this._store.flush();
+  }
+}
+
+module.exports = { NumberCache };
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Phone numbers of WhatsApp recipients: "+33 6 12 34 56 78", "0033612345678", local numbers
+ * of the default country ("0661888772") and international numbers without "+" ("212661888772").
+ * Valid numbers give the international digits (user part of the JID); invalid ones a
+ * validation error shared by the API, the reminders and the logs filters.
+ */
+
+// cc: calling code, trunk: national prefix dropped in international format,
+// min/max: length of the national number (without trunk), first: accepted first digits
+const COUNTRIES = {
+  MA: { cc: '212', trunk: '0', min: 9, max: 9, first: /^[5-8]/ },
+  DZ: { cc: '213', trunk: '0', min: 8, max: 9 },
+  TN: { cc: '216', trunk: null, min: 8, max: 8 },
+  SN: { cc: '221', trunk: null, min: 9, max: 9 },
+  CI: { cc: '225', trunk: null, min: 10, max: 10 },
+  EG: { cc: '20', trunk: '0', min: 9, max: 10 },
+  FR: { cc: '33', trunk: '0', min: 9, max: 9, first: /^[1-9]/ },
+  BE: { cc: '32', trunk: '0', min: 8, max: 9 },
+  NL: { cc: '31', trunk: '0', min: 9, max: 9 },
+  LU: { cc: '352', trunk: null, min: 6, max: 11 },
+  CH: { cc: '41', trunk: '0', min: 9, max: 9 },
+  DE: { cc: '49', trunk: '0', min: 6, max: 13 },
+  ES: { cc: '34', trunk: null, min: 9, max: 9, first: /^[6-9]/ },
+  PT: { cc: '351', trunk: null, min: 9, max: 9 },
+  IT: { cc: '39', trunk: null, min: 6, max: 11 }, // landlines keep their leading 0
+  GB: { cc: '44', trunk: '0', min: 9, max: 10 },
+  US: { cc: '1', trunk: '1', min: 10, max: 10, first: /^[2-9]/ }, // also Canada
+  TR: { cc: '90', trunk: '0', min: 10, max: 10 },
+  SA: { cc: '966', trunk: '0', min: 9, max: 9 },
+  AE: { cc: '971', trunk: '0', min: 8, max: 9 },
+  QA: { cc: '974', trunk: null, min: 8, max: 8 },
+};
+
+// E.164 bounds for calling codes missing from the table
+const E164_MIN = 8;
+const E164_MAX = 15;
+
+const MESSAGES = {
+  phone_required: 'Phone number is empty',
+  invalid_characters: 'Phone number may only contain digits, spaces, "+", "-", ".", "/" and parentheses',
+  too_short: 'Phone number is too short',
+  too_long: 'Phone number is too long',
+  invalid_prefix: 'Phone number does not start like a number of this country',
+};
+
+function invalid(reason, input, country = null, extra = {}) {
+  const c = COUNTRIES[country];
+  return {
+    ok: false,
+    error: 'invalid_phone',
+    reason,
+    message: MESSAGES[reason],
+    input,
+    country,
+    ...(c && (reason === 'too_short' || reason === 'too_long')
+      ? { expected: c.min === c.max ? `${c.min} digits` : `${c.min}-${c.max} digits` }
+      : {}),
+    ...extra,
+  };
+}
+
+function valid(country, cc, national) {
+  const phone = cc + national;
+  return { ok: true, phone, e164: `+${phone}`, country, national };
+}
+
+function countryOfCode(cc) {
+  return Object.keys(COUNTRIES).find((code) => COUNTRIES[code].cc === cc) || null;
+}
+
+/**
+ * ISO code of a default country setting: "MA", or a calling code such as the legacy DEFAULT_CC=212.
+ * @returns {string|null}
+ */
+function resolveCountry(value) {
+  const v = String(value || '').trim().toUpperCase();
+  if (COUNTRIES[v]) return v;
+  return countryOfCode(v.replace(/\D+/g, ''));
+}
+
+// National number (after the calling code) checked against the country rules
+function checkNational(country, national, input) {
+  const c = COUNTRIES[country];
+  // "+33 06 12..." : the trunk prefix should not be there, tolerate it
+  if (c.trunk && national.startsWith(c.trunk) && national.length > c.max) national = national.slice(c.trunk.length);
+  if (national.length < c.min) return invalid('too_short', input, country);
+  if (national.length > c.max) return invalid('too_long', input, country);
+  if (c.first && !c.first.test(national)) return invalid('invalid_prefix', input, country);
+  return valid(country, c.cc, national);
+}
+
+// Digits starting with a calling code
+function parseInternational(digits, input) {
+  for (let len = 1; len <= 3; len++) {
+    const country = countryOfCode(digits.slice(0, len));
+    if (country) return checkNational(country, digits.slice(len), input);
+  }
+  if (digits.length < E164_MIN) return invalid('too_short', input, null, { expected: `${E164_MIN}-${E164_MAX} digits` });
+  if (digits.length > E164_MAX) return invalid('too_long', input, null, { expected: `${E164_MIN}-${E164_MAX} digits` });
+  return { ok: true, phone: digits, e164: `+${digits}`, country: null, national: null };
+}
+
+/**
+ * Parse a phone number; local numbers belong to `defaultCountry` (ISO code).
+ * A JID ("212661888772@c.us") is accepted as its number.
+ * @returns {{ ok: true, phone: string, e164: string, country: string|null, national: string|null }
+ *   | { ok: false, error: 'invalid_phone', reason: string, message: string, input: string, country: string|null, expected?: string }}
+ */
+function parsePhone(value, { defaultCountry = 'MA' } = {}) {
+  const input = value === undefined || value === null ? '' : String(value).trim();
+  const raw = input.replace(/@c\.us$/i, '');
+  if (!raw) return invalid('phone_required', input);
+  // Letters are usually an extension ("poste 12", "x3") or a typo: better refuse than guess
+  if (!/^\+?[\d\s().\/-]+$/.test(raw)) return invalid('invalid_characters', input);
+
+  let digits = raw.replace(/\D+/g, '');
+  if (raw.startsWith('+')) return parseInternational(digits, input);
+  if (digits.startsWith('00')) return parseInternational(digits.slice(2), input);
+
+  const home = resolveCountry(defaultCountry) || 'MA';
+  const c = COUNTRIES[home];
+  // International format of the default country without "+" (how most numbers are stored)
+  if (digits.startsWith(c.cc)) {
+    const result = checkNational(home, digits.slice(c.cc.length), input);
+    if (result.ok) return result;
+  }
+  // Local format: trunk prefix, or the national number alone
+  if (c.trunk && digits.startsWith(c.trunk)) digits = digits.slice(c.trunk.length);
+  const local = checkNational(home, digits, input);
+  if (local.ok || local.reason !== 'too_long') return local;
+  // Longer than a local number: another country written without "+" or "00"
+  const other = parseInternational(raw.replace(/\D+/g, ''), input);
+  return other.ok && other.country ? other : local;
+}
+
+/**
+ * International digits of a number, throwing the validation error (code invalid_phone,
+ * `validation` = the parsePhone result without `ok`).
+ */
+function normalizePhone(value, options) {
+  const result = parsePhone(value, options);
+  if (!result.ok) {
+    const { ok, ...validation } = result;
+    throw Object.assign(new Error(`${result.message}: "${result.input}"`), { code: 'invalid_phone', validation });
+  }
+  return result.phone;
+}
+
+function phoneToJid(value, options) {
+  return `${normalizePhone(value, options)}@c.us`;
+}
+
+/**
+ * Comparison key of a stored number: its international digits when it parses, its bare
+ * digits otherwise (older logs may hold numbers that were never validated).
+ */
+function phoneKey(value, options) {
+  const result = parsePhone(value, options);
+  return result.ok ? result.phone : String(value || '').replace(/\D+/g, '');
+}
+
+module.exports = { COUNTRIES, parsePhone, normalizePhone, phoneToJid, phoneKey, resolveCountry };
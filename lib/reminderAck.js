@@ -0,0 +1,98 @@
+'use strict';
+
+const { RetryOutbox } = require('./retryOutbox');
+
+/**
+ * Acknowledges sent reminders back to the task source, so the next run does
+ * not remind them again: one handler per source ('db', 'api'). Pending acks are
+ * persisted and retried with exponential backoff (sirh-back or MySQL down).
+ */
+class ReminderAckOutbox {
+  constructor({
+    name = 'reminder-ack',
+    handlers = {},       // { db: async (ack) => {}, api: async (ack) => {} }
+    storageFile = null,
+    maxAttempts = 10,
+    retryBaseMs = 30000,
+    retryMaxMs = 60 * 60 * 1000,
+    logger = console,
+  } = {}) {
+    this.name = name;
+    this.handlers = handlers || {};
+    this.logger = logger || console;
+
+    this._outbox = new RetryOutbox({
+      name: this.name,
+      deliver: (ack) => this._process(ack),
+      describe: (ack) => `ack taskIds=${ack.taskIds.join(',')}`,
+      storageFile,
+      maxAttempts,
+      retryBaseMs,
+      retryMaxMs,
+      logger: this.logger,
+    });
+  }
+
+  /**
+   * @param {Object} ack - { source, rule, taskIds, messageIds, jid, date, sentAt }
+   * @returns {Object|null} the queued acknowledgement, null if there is no handler for its source
+   */
+  add(ack) {
+    if (!this.handlers[ack.source]) return null;
+    if (!Array.isArray(ack.taskIds) || !ack.taskIds.length) return null;
+    return this._outbox.add(ack);
+  }
+
+  async _process(ack) {
+    const handler = this.handlers[ack.source];
+    // Source disabled since the ack was queued: retrying would not help
+    if (!handler) throw Object.assign(new Error(`no handler for source "${ack.source}"`), { retryable: false });
+    await handler(ack);
+  }
+
+  stats() {
+    const { pending, delivered, dropped } = this._outbox.stats();
+    return {
+      name: this.name,
+      sources: Object.keys(this.handlers),
+      pending,
+      acked: delivered,
+      dropped,
+    };
+  }
+}
+
+/**
+ * DB source: flag the tasks in todo_tasks (envoyer_auto = 1 by default).
+ */
+function createDbAckHandler(pool, { table = 'todo_tasks', column = 'envoyer_auto', value = 1 } = {}) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table) || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(column)) {
+    throw new Error(`Invalid ack column ${table}.${column}`);
+  }
+  return async ({ taskIds }) => {
+    await pool.query(`UPDATE \`${table}\` SET \`${column}\` = ? WHERE id IN (?)`, [value, taskIds]);
+  };
+}
+
+/**
+ * API source: POST { rule, taskIds, messageIds, jid, date, sentAt } to sirh-back.
+ */
+function createApiAckHandler({ apiBase, apiKey = null, path = '/reminders/ack', timeoutMs = 10000 } = {}) {
+  const url = `${String(apiBase || '').replace(/\/$/, '')}${path.startsWith('/') ? path : `/${path}`}`;
+  return async ({ rule = null, taskIds, messageIds, jid, date, sentAt }) => {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (apiKey) headers['X-Api-Key'] = apiKey;
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ rule, taskIds, messageIds, jid, date, sentAt }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!resp.ok) {
+      const t = await resp.text().catch(() => '');
+      throw new Error(`HTTP ${resp.status} ${t}`.trim());
+    }
+  };
+}
+
+module.exports = { ReminderAckOutbox, createDbAckHandler, createApiAckHandler };
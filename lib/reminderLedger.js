@@ -0,0 +1,91 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+function normalizeDigits(phone) {
+  return (phone || '').toString().replace(/\D+/g, '');
+}
+
+/**
+ * Which task reminders went out on which day, keyed taskId|recipient|date
+ * (plus |rule for the rules other than the default one). Checked by the
+ * reminder runners before enqueueing, so a manual run on the same day as
+ * the cron (or a restart mid-run) does not remind a task twice.
+ */
+class ReminderLedger {
+  constructor({
+    storageFile = null,
+    retentionDays = 7,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.retentionDays = Number(retentionDays) > 0 ? Number(retentionDays) : 7;
+    this.logger = logger || console;
+
+    this._entries = new Map();
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) {
+        items.forEach((entry) => {
+          if (entry && entry.key) this._entries.set(entry.key, entry);
+        });
+      }
+      this._prune();
+    }
+  }
+
+  static key(taskId, recipient, date, rule = null) {
+    return `${taskId}|${normalizeDigits(recipient)}|${date}${rule ? `|${rule}` : ''}`;
+  }
+
+  _save() {
+    if (!this.storageFile) return;
+    try {
+      writeJsonFile(this.storageFile, [...this._entries.values()]);
+    } catch (e) {
+      this.logger.error('[reminder-ledger] Failed to save ledger:', e);
+    }
+  }
+
+  _prune() {
+    const cutoff = DateTime.now().minus({ days: this.retentionDays }).toISODate();
+    for (const [key, entry] of this._entries) {
+      if (entry.date < cutoff) this._entries.delete(key);
+    }
+  }
+
+  has(taskId, recipient, date, rule = null) {
+    return this._entries.has(ReminderLedger.key(taskId, recipient, date, rule));
+  }
+
+  /**
+   * Record the tasks of a message about to be enqueued.
+   * @param {Array} taskIds
+   * @param {string} recipient - phone or jid
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} [extra] - stored with the entry; extra.rule is part of the key
+   */
+  record(taskIds, recipient, date, extra = {}) {
+    taskIds.forEach((taskId) => {
+      const key = ReminderLedger.key(taskId, recipient, date, extra.rule);
+      this._entries.set(key, { key, taskId, recipient: normalizeDigits(recipient), date, at: new Date().toISOString(), ...extra });
+    });
+    this._prune();
+    this._save();
+  }
+
+  /**
+   * Forget tasks whose send failed, so the next run can try again.
+   */
+  release(taskIds, recipient, date, rule = null) {
+    let changed = false;
+    taskIds.forEach((taskId) => {
+      changed = this._entries.delete(ReminderLedger.key(taskId, recipient, date, rule)) || changed;
+    });
+    if (changed) this._save();
+  }
+}
+
+module.exports = { ReminderLedger };
@@ -0,0 +1,152 @@
+'use strict';
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+/**
+ * Persisted list of pending deliveries: each entry is passed to `deliver` until it
+ * resolves, retried with exponential backoff up to `maxAttempts` (errors flagged
+ * retryable=false drop the entry at once). Entries survive restarts through storageFile.
+ */
+class RetryOutbox {
+  constructor({
+    name = 'outbox',
+    deliver = null,      // async (entry) => {}, throws to retry
+    describe = (entry) => entry.id,  // Label of an entry in the logs
+    storageFile = null,
+    maxAttempts = 8,
+    retryBaseMs = 10000,
+    retryMaxMs = 30 * 60 * 1000,
+    logger = console,
+  } = {}) {
+    this.name = name;
+    this.deliver = deliver;
+    this.describe = describe;
+    this.storageFile = storageFile;
+    this.maxAttempts = Math.max(1, Number(maxAttempts) || 1);
+    this.retryBaseMs = Math.max(0, Number(retryBaseMs) || 0);
+    this.retryMaxMs = Math.max(this.retryBaseMs, Number(retryMaxMs) || 0);
+    this.logger = logger || console;
+
+    this._items = [];
+    this._timer = null;
+    this._running = false;
+    this._deferSaves = false;
+    this._saveDeferred = false;
+    this._delivered = 0;
+    this._dropped = 0;
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) this._items = items;
+      if (this._items.length) {
+        this.logger.log(`[${this.name}] Restored ${this._items.length} pending deliveries`);
+        this._schedule();
+      }
+    }
+  }
+
+  _save() {
+    if (!this.storageFile) return;
+    if (this._deferSaves) {
+      this._saveDeferred = true;
+      return;
+    }
+    try {
+      writeJsonFile(this.storageFile, this._items);
+    } catch (e) {
+      this.logger.error(`[${this.name}] Failed to save outbox:`, e);
+    }
+  }
+
+  /**
+   * Run `fn` (synchronous) without rewriting the outbox for each entry added, then save once.
+   */
+  deferSaves(fn) {
+    if (this._deferSaves) return fn();
+    this._deferSaves = true;
+    this._saveDeferred = false;
+    try {
+      return fn();
+    } finally {
+      this._deferSaves = false;
+      if (this._saveDeferred) this._save();
+    }
+  }
+
+  /**
+   * @param {Object} data - fields of the entry given to `deliver`
+   * @returns {Object} the entry (with id, attempts, nextAttemptAt, lastError)
+   */
+  add(data) {
+    const entry = { id: crypto.randomUUID(), ...data, attempts: 0, nextAttemptAt: Date.now(), lastError: null };
+    this._items.push(entry);
+    this._save();
+    this._schedule();
+    return entry;
+  }
+
+  _schedule() {
+    if (this._timer || this._running || !this._items.length) return;
+    const next = Math.min(...this._items.map((d) => d.nextAttemptAt || 0));
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._processDue().catch((e) => this.logger.error(`[${this.name}] delivery loop crashed`, e));
+    }, Math.min(Math.max(0, next - Date.now()), this.retryMaxMs || 60000));
+    this._timer.unref?.();
+  }
+
+  async _processDue() {
+    this._running = true;
+    try {
+      const now = Date.now();
+      const due = this._items.filter((d) => (d.nextAttemptAt || 0) <= now);
+      for (const entry of due) {
+        await this._process(entry);
+      }
+    } finally {
+      this._running = false;
+      this._save();
+      this._schedule();
+    }
+  }
+
+  async _process(entry) {
+    entry.attempts++;
+    try {
+      await this.deliver(entry);
+      this._remove(entry);
+      this._delivered++;
+    } catch (e) {
+      entry.lastError = e?.message || String(e);
+      if (e?.retryable === false || entry.attempts >= this.maxAttempts) {
+        this._remove(entry);
+        this._dropped++;
+        this.logger.error(
+          `[${this.name}] dropped ${this.describe(entry)} after ${entry.attempts} attempt(s): ${entry.lastError}`
+        );
+        return;
+      }
+      const delay = Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, entry.attempts - 1));
+      entry.nextAttemptAt = Date.now() + delay;
+      this.logger.warn(
+        `[${this.name}] ${this.describe(entry)} failed (${entry.lastError}); retry in ${Math.round(delay / 1000)}s`
+      );
+    }
+  }
+
+  _remove(entry) {
+    const idx = this._items.indexOf(entry);
+    if (idx !== -1) this._items.splice(idx, 1);
+  }
+
+  stats() {
+    return {
+      pending: this._items.length,
+      delivered: this._delivered,
+      dropped: this._dropped,
+    };
+  }
+}
+
+module.exports = { RetryOutbox };
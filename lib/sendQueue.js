@@ -2,6 +2,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Upper bound for one idle wait (setTimeout overflows past ~24.8 days)
+const MAX_IDLE_MS = 60 * 60 * 1000;
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -12,7 +17,13 @@ function toFiniteNumber(value, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-class RateLimitedQueue {
+/**
+ * Events: 'enqueued' (item), 'sending' (item), 'sent' (item, result),
+ * 'retry' (item, error), 'failed' (item, error) once attempts are used up,
+ * 'cancelled' (item), 'skipped' (item, error) when the processor refused it for good.
+ * `item.id` is the job id returned by enqueueJob().
+ */
+class RateLimitedQueue extends EventEmitter {
   constructor({
     name = 'queue',
     minIntervalMs = 0,
@@ -24,8 +35,16 @@ class RateLimitedQueue {
     longPauseMaxMs = 0,
     logger = console,
     storageFile = null, // Path to persist queue
-    processor = null,   // Async function(item) -> result
+    deadLetterFile = null, // Path to persist items that used up their attempts
+    processor = null,   // Async function(data, meta) -> result
+    maxAttempts = 1,
+    retryBaseMs = 30000,
+    retryMaxMs = 15 * 60 * 1000,
+    lanes = ['normal'], // Highest priority first; all lanes share the rate budget
+    defaultLane = null,
+    sendWindow = null,  // Optional SendWindow: items are held while it is closed
   } = {}) {
+    super();
     this.name = name;
     this.minIntervalMs = Math.max(0, toFiniteNumber(minIntervalMs, 0));
     this.maxPerWindow = toFiniteNumber(maxPerWindow, Infinity);
@@ -37,21 +56,57 @@ class RateLimitedQueue {
     this.longPauseMaxMs = Math.max(this.longPauseMinMs, toFiniteNumber(longPauseMaxMs, this.longPauseMinMs));
     this.logger = logger || console;
     this.storageFile = storageFile;
+    this.deadLetterFile = deadLetterFile;
     this.processor = processor;
+    this.maxAttempts = Math.max(1, Math.floor(toFiniteNumber(maxAttempts, 1)));
+    this.retryBaseMs = Math.max(0, toFiniteNumber(retryBaseMs, 30000));
+    this.retryMaxMs = Math.max(this.retryBaseMs, toFiniteNumber(retryMaxMs, this.retryBaseMs));
+    this.lanes = Array.isArray(lanes) && lanes.length ? lanes.map(String) : ['normal'];
+    this.defaultLane = this.lanes.includes(defaultLane) ? defaultLane : this.lanes[0];
+    this.sendWindow = sendWindow;
 
     this._queue = [];
+    this._deadLetters = [];
     this._processing = false;
     this._lastStartAt = null;
     this._sentAt = [];
+    this._wakeUp = null;
+    this._current = null;
+    this._deferSaves = false;
+    this._saveDeferred = false;
 
     this._enqueued = 0;
     this._processed = 0;
     this._failed = 0;
+    this._retried = 0;
+    this._skipped = 0;
 
     // Load persisted queue if configured
     if (this.storageFile) {
       this._load();
     }
+    if (this.deadLetterFile) {
+      this._loadDeadLetters();
+    }
+  }
+
+  // Restored/requeued items: the original caller is gone, so nobody awaits the promise
+  _detach(item) {
+    return {
+      id: item.id || crypto.randomUUID(),
+      fn: null,
+      data: item.data,
+      meta: item.meta,
+      attempts: Number(item.attempts) || 0,
+      retryAt: item.retryAt || null,
+      sendAt: item.sendAt || null,
+      lane: this._laneOf(item.lane),
+      bypassWindow: !!item.bypassWindow,
+      lastError: item.lastError || null,
+      enqueuedAt: item.enqueuedAt || Date.now(),
+      resolve: () => {},
+      reject: (err) => this.logger.error(`[${this.name}] Failed restored item:`, err)
+    };
   }
 
   _load() {
@@ -62,13 +117,7 @@ class RateLimitedQueue {
         if (Array.isArray(items)) {
           // Add items back to queue (without promises attached yet)
           items.forEach(item => {
-            this._queue.push({ 
-              data: item.data, 
-              meta: item.meta,
-              // Create detached promise for this item since original caller is gone
-              resolve: () => {}, 
-              reject: (err) => this.logger.error(`[${this.name}] Failed restored item:`, err)
-            });
+            this._queue.push(this._detach(item));
           });
           this.logger.log(`[${this.name}] Restored ${items.length} items from ${this.storageFile}`);
           // Kick processing if we have items
@@ -82,25 +131,149 @@ class RateLimitedQueue {
 
   _save() {
     if (!this.storageFile) return;
+    if (this._deferSaves) {
+      this._saveDeferred = true;
+      return;
+    }
     try {
-      // Only save data & meta, not functions/promises
-      const items = this._queue.map(q => ({ data: q.data, meta: q.meta }));
+      // Only save data & meta (+ retry state), not functions/promises
+      const items = this._queue
+        .filter(q => !q.fn)
+        .map(q => ({
+          id: q.id,
+          data: q.data,
+          meta: q.meta,
+          attempts: q.attempts,
+          retryAt: q.retryAt,
+          sendAt: q.sendAt,
+          lane: q.lane,
+          bypassWindow: q.bypassWindow,
+          lastError: q.lastError,
+          enqueuedAt: q.enqueuedAt
+        }));
       fs.writeFileSync(this.storageFile, JSON.stringify(items, null, 2));
     } catch (e) {
       this.logger.error(`[${this.name}] Failed to save queue:`, e);
     }
   }
 
+  _loadDeadLetters() {
+    try {
+      if (fs.existsSync(this.deadLetterFile)) {
+        const items = JSON.parse(fs.readFileSync(this.deadLetterFile, 'utf8'));
+        if (Array.isArray(items)) this._deadLetters = items;
+      }
+    } catch (e) {
+      this.logger.error(`[${this.name}] Failed to load dead letters:`, e);
+    }
+  }
+
+  _saveDeadLetters() {
+    if (!this.deadLetterFile) return;
+    try {
+      fs.writeFileSync(this.deadLetterFile, JSON.stringify(this._deadLetters, null, 2));
+    } catch (e) {
+      this.logger.error(`[${this.name}] Failed to save dead letters:`, e);
+    }
+  }
+
+  /**
+   * Write pending items and dead letters now (e.g. before restarting the WhatsApp client).
+   */
+  persist() {
+    this._save();
+    this._saveDeadLetters();
+  }
+
+  /**
+   * Run `fn` (synchronous) without rewriting storageFile for each change, then save once
+   * (e.g. to enqueue a whole batch).
+   */
+  deferSaves(fn) {
+    if (this._deferSaves) return fn();
+    this._deferSaves = true;
+    this._saveDeferred = false;
+    try {
+      return fn();
+    } finally {
+      this._deferSaves = false;
+      if (this._saveDeferred) this._save();
+    }
+  }
+
+  /**
+   * Items that failed maxAttempts times (most recent last).
+   */
+  deadLetters() {
+    return this._deadLetters.slice();
+  }
+
+  /**
+   * Put a dead-lettered item back in the queue with a fresh attempt counter.
+   * @returns {Object|null} the dead letter entry, or null if unknown
+   */
+  requeueDeadLetter(id) {
+    const idx = this._deadLetters.findIndex(d => d.id === id);
+    if (idx === -1) return null;
+    const [entry] = this._deadLetters.splice(idx, 1);
+    this._saveDeadLetters();
+
+    this._enqueued++;
+    const item = this._detach({
+      id: entry.id,
+      data: entry.data,
+      meta: entry.meta,
+      lane: entry.lane,
+      bypassWindow: entry.bypassWindow,
+      enqueuedAt: Date.now()
+    });
+    this._queue.push(item);
+    if (this.storageFile) this._save();
+    this.emit('enqueued', item);
+    this._kick();
+    return entry;
+  }
+
+  /**
+   * Drop a dead-lettered item for good.
+   * @returns {Object|null} the removed entry, or null if unknown
+   */
+  discardDeadLetter(id) {
+    const idx = this._deadLetters.findIndex(d => d.id === id);
+    if (idx === -1) return null;
+    const [entry] = this._deadLetters.splice(idx, 1);
+    this._saveDeadLetters();
+    return entry;
+  }
+
+  hasLane(lane) {
+    return this.lanes.includes(lane);
+  }
+
+  _laneOf(lane) {
+    return this.hasLane(lane) ? lane : this.defaultLane;
+  }
+
   stats() {
     const now = Date.now();
     const recentSent = this._sentAt.filter((t) => (this.windowMs ? t > now - this.windowMs : true));
+    const lanes = {};
+    this.lanes.forEach((lane) => { lanes[lane] = 0; });
+    this._queue.forEach((q) => { lanes[q.lane] = (lanes[q.lane] || 0) + 1; });
     return {
       name: this.name,
       queued: this._queue.length,
+      lanes,
       processing: this._processing,
       enqueued: this._enqueued,
       processed: this._processed,
       failed: this._failed,
+      retried: this._retried,
+      skipped: this._skipped,
+      retrying: this._queue.filter(q => q.retryAt && q.retryAt > now).length,
+      scheduled: this._queue.filter(q => q.sendAt && q.sendAt > now).length,
+      deadLettered: this._deadLetters.length,
+      maxAttempts: this.maxAttempts,
       minIntervalMs: this.minIntervalMs,
       maxPerWindow: this.maxPerWindow,
       windowMs: this.windowMs,
@@ -109,7 +282,15 @@ class RateLimitedQueue {
       longPauseMinMs: this.longPauseMinMs,
       longPauseMaxMs: this.longPauseMaxMs,
       sentInWindow: recentSent.length,
-      isPersistent: !!this.storageFile
+      isPersistent: !!this.storageFile,
+      sendWindow: this.sendWindow
+        ? {
+          ...this.sendWindow.describe(),
+          open: this._windowOpen(now),
+          nextOpenAt: new Date(this.sendWindow.nextOpenAt(now)).toISOString()
+        }
+        : null,
+      pausedByWindow: this.isPausedByWindow(now)
     };
   }
 
@@ -119,31 +300,118 @@ class RateLimitedQueue {
    * Usage 2: enqueue(data, meta) - persistent if storageFile & processor configured
    */
   enqueue(item, meta = {}) {
+    return this.enqueueJob(item, meta).promise;
+  }
+
+  /**
+   * Same as enqueue() but also returns the job id, so callers can answer
+   * right away and let the client poll for the outcome.
+   * @param {Object} [options]
+   * @param {number} [options.sendAt] - epoch ms; the item is held until then
+   * @param {string} [options.lane] - priority lane (unknown lanes fall back to defaultLane)
+   * @param {boolean} [options.bypassWindow] - send even outside the sending window
+   * @returns {{ id: string, promise: Promise }}
+   */
+  enqueueJob(item, meta = {}, { sendAt = null, lane = null, bypassWindow = false } = {}) {
     this._enqueued++;
 
+    // If item is function, use it directly (legacy mode)
+    // If item is data, wrapped in processor call
+    const isFn = typeof item === 'function';
+    const entry = {
+      id: crypto.randomUUID(),
+      fn: isFn ? item : null,
+      data: isFn ? null : item,
+      resolve: null,
+      reject: null,
+      meta,
+      attempts: 0,
+      retryAt: null,
+      sendAt: Number.isFinite(Number(sendAt)) && sendAt ? Number(sendAt) : null,
+      lane: this._laneOf(lane),
+      bypassWindow: !!bypassWindow,
+      lastError: null,
+      enqueuedAt: Date.now()
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this._queue.push(entry);
+
+    if (this.storageFile && !isFn) {
+      this._save();
+    }
+
+    this.emit('enqueued', entry);
+    this._kick();
+
+    return { id: entry.id, promise };
+  }
+
+  /**
+   * Promise settled with the outcome of a pending item, or null if the id is
+   * not (or no longer) in the queue.
+   */
+  waitFor(id) {
+    const item = this._queue.find(q => q.id === id);
+    if (!item) return null;
     return new Promise((resolve, reject) => {
-      // If item is function, use it directly (legacy mode)
-      // If item is data, wrapped in processor call
-      const isFn = typeof item === 'function';
-      
-      this._queue.push({ 
-        fn: isFn ? item : null, 
-        data: isFn ? null : item,
-        resolve, 
-        reject, 
-        meta 
-      });
-      
-      if (this.storageFile && !isFn) {
-        this._save();
-      }
-      
-      this._kick();
+      item.waiters = item.waiters || [];
+      item.waiters.push({ resolve, reject });
     });
   }
 
+  _settle(item, err, result) {
+    const waiters = [{ resolve: item.resolve, reject: item.reject }, ...(item.waiters || [])];
+    item.waiters = null;
+    waiters.forEach((w) => (err ? w.reject(err) : w.resolve(result)));
+  }
+
+  /**
+   * Items still in the queue, including those restored from storageFile.
+   */
+  pending() {
+    return this._queue.slice();
+  }
+
+  /**
+   * Items held until their sendAt (soonest first).
+   */
+  scheduled() {
+    const now = Date.now();
+    return this._queue
+      .filter(q => q.sendAt && q.sendAt > now)
+      .sort((a, b) => a.sendAt - b.sendAt)
+      .map(q => ({ id: q.id, data: q.data, meta: q.meta, lane: q.lane, sendAt: q.sendAt, enqueuedAt: q.enqueuedAt }));
+  }
+
+  /**
+   * Remove a pending item. An item already being sent cannot be cancelled.
+   * @returns {boolean} true if the item was removed
+   */
+  cancel(id) {
+    const item = this._queue.find(q => q.id === id);
+    if (!item || item === this._current) return false;
+    this._remove(item);
+    if (this.storageFile && !item.fn) this._save();
+
+    const err = new Error('job_cancelled');
+    err.code = 'job_cancelled';
+    this.emit('cancelled', item);
+    this._settle(item, err);
+    this._wake();
+    return true;
+  }
+
   _kick() {
-    if (this._processing) return;
+    if (this._processing) {
+      // Runner may be idle waiting for a retry: let it re-check the queue
+      this._wake();
+      return;
+    }
     this._processing = true;
     this._run().catch((e) => {
       this._processing = false;
@@ -153,23 +421,29 @@ class RateLimitedQueue {
 
   async _run() {
     while (this._queue.length > 0) {
-      // Peek first
-      const item = this._queue[0];
-      if (!item) {
-        this._queue.shift(); 
+      if (!this._nextReady(Date.now())) {
+        // Everything left is scheduled or waiting for a retry: sleep until the earliest one is due
+        await this._idle(this._msUntilNextDue(Date.now()));
         continue;
       }
 
+      await this._waitForSlot();
+      // Pick after the wait so an urgent item enqueued meanwhile goes first
+      const item = this._nextReady(Date.now());
+      if (!item) continue;
+
       try {
-        await this._waitForSlot();
+        this._current = item;
         this._lastStartAt = Date.now();
+        item.attempts++;
+        this.emit('sending', item);
         
         // Execute
         let result;
         if (item.fn) {
            result = await item.fn();
         } else if (this.processor) {
-           result = await this.processor(item.data);
+           result = await this.processor(item.data, item.meta);
         } else {
            throw new Error('No processor for data item');
         }
@@ -178,25 +452,145 @@ class RateLimitedQueue {
         this._recordSent();
         
         // Remove from queue ONLY after success
-        this._queue.shift();
+        this._remove(item);
         if (this.storageFile && !item.fn) this._save();
 
-        item.resolve(result);
+        this.emit('sent', item, result);
+        this._settle(item, null, result);
       } catch (e) {
-        this._failed++;
-        
-        // Remove from queue on error to prevent blocking? 
-        // Or keep retrying? For now remove to avoid stuck queue.
-        this._queue.shift();
-        if (this.storageFile && !item.fn) this._save();
-        
-        item.reject(e);
+        this._handleFailure(item, e);
+      } finally {
+        this._current = null;
       }
     }
 
     this._processing = false;
   }
 
+  _nextReady(now) {
+    // Highest lane first, FIFO inside a lane
+    let best = null;
+    let bestRank = Infinity;
+    const windowOpen = this._windowOpen(now);
+    for (const q of this._queue) {
+      if (this._dueAt(q) > now) continue;
+      if (!windowOpen && !q.bypassWindow) continue;
+      const rank = this.lanes.indexOf(q.lane);
+      if (rank < bestRank) {
+        best = q;
+        bestRank = rank;
+        if (rank === 0) break;
+      }
+    }
+    return best;
+  }
+
+  _dueAt(item) {
+    return Math.max(item.retryAt || 0, item.sendAt || 0);
+  }
+
+  _msUntilNextDue(now) {
+    const dueTimes = this._queue.map((q) => {
+      const due = Math.max(this._dueAt(q), now);
+      return this.sendWindow && !q.bypassWindow ? this.sendWindow.nextOpenAt(due) : due;
+    });
+    return dueTimes.length ? Math.max(0, Math.min(...dueTimes) - now) : 0;
+  }
+
+  _windowOpen(now) {
+    return !this.sendWindow || this.sendWindow.isOpen(now);
+  }
+
+  /**
+   * True when items are waiting only because the sending window is closed.
+   */
+  isPausedByWindow(now = Date.now()) {
+    if (this._windowOpen(now)) return false;
+    return this._queue.some(q => !q.bypassWindow && this._dueAt(q) <= now);
+  }
+
+  _remove(item) {
+    const idx = this._queue.indexOf(item);
+    if (idx !== -1) this._queue.splice(idx, 1);
+  }
+
+  _backoffMs(attempts) {
+    return Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  _handleFailure(item, e) {
+    const errorMsg = e?.message || String(e);
+    item.lastError = errorMsg;
+
+    // Errors flagged skip=true (e.g. recipient suppressed) drop the item like a cancellation:
+    // no retry, no dead letter, not counted as failed
+    if (e?.skip) {
+      this._skipped++;
+      this._remove(item);
+      if (this.storageFile && !item.fn) this._save();
+      this.logger.log?.(`[${this.name}] item ${item.id} skipped: ${errorMsg}`);
+      this.emit('skipped', item, e);
+      this._settle(item, e);
+      return;
+    }
+
+    // Errors flagged retryable=false (e.g. number not on WhatsApp) go straight to the dead letters
+    if (item.attempts < this.maxAttempts && e?.retryable !== false) {
+      const delay = this._backoffMs(item.attempts);
+      item.retryAt = Date.now() + delay;
+      this._retried++;
+      this.logger.warn?.(
+        `[${this.name}] attempt ${item.attempts}/${this.maxAttempts} failed (${errorMsg}); retry in ${Math.round(delay / 1000)}s`
+      );
+      if (this.storageFile && !item.fn) this._save();
+      this.emit('retry', item, e);
+      return;
+    }
+
+    this._failed++;
+    this._remove(item);
+    if (this.storageFile && !item.fn) this._save();
+
+    // Function items cannot be persisted: only data items are dead-lettered
+    if (!item.fn) {
+      this._deadLetters.push({
+        id: item.id,
+        data: item.data,
+        meta: item.meta,
+        attempts: item.attempts,
+        lastError: errorMsg,
+        lane: item.lane,
+        bypassWindow: item.bypassWindow,
+        enqueuedAt: item.enqueuedAt,
+        failedAt: Date.now()
+      });
+      this._saveDeadLetters();
+      this.logger.error?.(`[${this.name}] item ${item.id} dead-lettered after ${item.attempts} attempt(s): ${errorMsg}`);
+    }
+
+    this.emit('failed', item, e);
+    this._settle(item, e);
+  }
+
+  _idle(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this._wakeUp = null;
+        resolve();
+      }, Math.min(Math.max(0, ms), MAX_IDLE_MS));
+      this._wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  _wake() {
+    const wakeUp = this._wakeUp;
+    this._wakeUp = null;
+    if (wakeUp) wakeUp();
+  }
+
 
   _recordSent() {
     const now = Date.now();
@@ -251,6 +645,12 @@ class RateLimitedQueue {
     if (waitMs > 0) {
       await sleep(waitMs);
     }
+
+    // Quiet hours: the window may have closed while we waited. Hold everything
+    // until it reopens, except items allowed to bypass it.
+    while (this._queue.length > 0 && !this._windowOpen(Date.now()) && !this._nextReady(Date.now())) {
+      await this._idle(this._msUntilNextDue(Date.now()));
+    }
   }
 }
 
@@ -0,0 +1,109 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+
+const DAY_NAMES = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7 };
+
+function parseTime(value) {
+  const m = String(value || '').trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!m) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function parseDay(token) {
+  const t = String(token).trim().toLowerCase();
+  if (/^[1-7]$/.test(t)) return Number(t);
+  return DAY_NAMES[t.slice(0, 3)] || null;
+}
+
+/**
+ * Parse a day list such as "1-6", "mon-sat" or "1,2,3,4,5" (1 = Monday, 7 = Sunday).
+ */
+function parseDays(value) {
+  if (!value) return [1, 2, 3, 4, 5, 6, 7];
+  const days = new Set();
+  String(value).split(',').forEach((part) => {
+    const [from, to] = part.split('-').map(parseDay);
+    if (!from) return;
+    if (!to) {
+      days.add(from);
+      return;
+    }
+    // Wrapping ranges are allowed (e.g. sat-mon)
+    for (let d = from, i = 0; i < 7; d = (d % 7) + 1, i++) {
+      days.add(d);
+      if (d === to) break;
+    }
+  });
+  return [...days].sort();
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Daily sending window (e.g. 08:00-20:00 Monday-Saturday in a given timezone).
+ * An overnight window (22:00-06:00) belongs to the day it starts on.
+ */
+class SendWindow {
+  constructor({ start = '08:00', end = '20:00', days = [1, 2, 3, 4, 5, 6], tz = 'Africa/Casablanca' } = {}) {
+    this.start = parseTime(start);
+    this.end = parseTime(end);
+    if (this.start === null || this.end === null) {
+      throw new Error(`Invalid sending window ${start}-${end} (expected HH:mm-HH:mm)`);
+    }
+    this.days = Array.isArray(days) ? days : parseDays(days);
+    if (!this.days.length) throw new Error('Invalid sending window: no sending day');
+    this.tz = tz;
+  }
+
+  /**
+   * @param {string} range - "HH:mm-HH:mm"; empty disables the window (returns null)
+   */
+  static fromConfig({ range, days, tz }) {
+    if (!range || !String(range).trim()) return null;
+    const [start, end] = String(range).split('-');
+    return new SendWindow({ start, end, days: parseDays(days), tz });
+  }
+
+  isOpen(at = Date.now()) {
+    const dt = DateTime.fromMillis(at).setZone(this.tz);
+    const minutes = dt.hour * 60 + dt.minute;
+
+    if (this.start === this.end) return this.days.includes(dt.weekday);
+    if (this.start < this.end) {
+      return this.days.includes(dt.weekday) && minutes >= this.start && minutes < this.end;
+    }
+    // Overnight window
+    if (minutes >= this.start) return this.days.includes(dt.weekday);
+    if (minutes < this.end) return this.days.includes(dt.minus({ days: 1 }).weekday);
+    return false;
+  }
+
+  /**
+   * Epoch ms at which sending is allowed again (`at` itself if the window is open).
+   */
+  nextOpenAt(at = Date.now()) {
+    if (this.isOpen(at)) return at;
+    const base = DateTime.fromMillis(at).setZone(this.tz).startOf('day');
+    for (let i = 0; i <= 7; i++) {
+      const day = base.plus({ days: i });
+      if (!this.days.includes(day.weekday)) continue;
+      const opensAt = day.plus({ minutes: this.start }).toMillis();
+      if (opensAt > at) return opensAt;
+    }
+    return at;
+  }
+
+  describe() {
+    return {
+      start: formatMinutes(this.start),
+      end: formatMinutes(this.end),
+      days: this.days,
+      tz: this.tz,
+    };
+  }
+}
+
+module.exports = { SendWindow, parseDays };
@@ -0,0 +1,92 @@
+'use strict';
+
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+/**
+ * Numbers that must not receive anything (opt-out, number reassigned...), keyed by
+ * international digits. Checked before every send, whatever its source.
+ */
+class SuppressionList {
+  constructor({
+    storageFile = null,
+    logger = console,
+  } = {}) {
+    this.storageFile = storageFile;
+    this.logger = logger || console;
+
+    this._entries = new Map();
+
+    if (this.storageFile) {
+      const items = readJsonFile(this.storageFile, [], this.logger);
+      if (Array.isArray(items)) {
+        items.forEach((entry) => {
+          if (entry && entry.phone) this._entries.set(entry.phone, entry);
+        });
+      }
+    }
+  }
+
+  _save() {
+    if (!this.storageFile) return;
+    try {
+      writeJsonFile(this.storageFile, [...this._entries.values()], { pretty: true });
+    } catch (e) {
+      this.logger.error('[suppression] Failed to save list:', e);
+    }
+  }
+
+  /**
+   * @param {string} phone - digits, international format
+   * @returns {{ phone: string, reason: string, source: string, note: string|null, createdAt: string, updatedAt: string }|null}
+   */
+  get(phone) {
+    return this._entries.get(phone) || null;
+  }
+
+  has(phone) {
+    return this._entries.has(phone);
+  }
+
+  /**
+   * Add a number, or update the reason of one already listed (createdAt is kept).
+   * @returns {{ entry: Object, created: boolean }}
+   */
+  add(phone, { reason = 'manual', source = 'api', note = null } = {}) {
+    const existing = this._entries.get(phone);
+    const now = new Date().toISOString();
+    const entry = {
+      phone,
+      reason: String(reason),
+      source: String(source),
+      note: note ? String(note) : null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    this._entries.set(phone, entry);
+    this._save();
+    return { entry, created: !existing };
+  }
+
+  remove(phone) {
+    const entry = this._entries.get(phone);
+    if (!entry) return null;
+    this._entries.delete(phone);
+    this._save();
+    return entry;
+  }
+
+  /**
+   * @returns {Array} most recent first
+   */
+  list({ reason = null } = {}) {
+    return [...this._entries.values()]
+      .filter((entry) => !reason || entry.reason === reason)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+}
+
+module.exports = { SuppressionList };
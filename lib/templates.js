@@ -0,0 +1,234 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+
+/**
+ * Small template language for WhatsApp messages:
+ *   {{name}}, {{task.project}}          value (dotted path), empty when missing
+ *   {{name | bold}}                      filters: bold, italic, strike, mono, upper, lower, default:"—",
+ *                                        date[:"medium"|"short"|"long"|"dd/MM/yyyy"], isolate
+ *   {{#if x}}...{{else}}...{{/if}}      conditional (missing, null, '', false and [] are false)
+ *   {{#each tasks}}...{{/each}}          loop; item fields (and this, @index, @number) shadow outer params
+ */
+const LOCALE_ALIASES = { ary: 'ar', darija: 'ar', arabe: 'ar', arabic: 'ar', francais: 'fr', 'français': 'fr', french: 'fr', anglais: 'en', english: 'en' };
+
+// Locale handed to Intl for dates (Latin digits for Arabic, as used in Morocco)
+const INTL_LOCALES = { ar: 'ar-MA', fr: 'fr-FR', en: 'en-GB' };
+
+const DATE_PRESETS = { short: DateTime.DATE_SHORT, medium: DateTime.DATE_MED, long: DateTime.DATE_FULL };
+
+// Language of `<key>.txt`, the template used when there is no translation
+const BASE_LOCALE = 'fr';
+
+/**
+ * "ar_MA", "AR", "darija" => "ar"; null when empty.
+ */
+function normalizeLocale(value) {
+  const raw = String(value ?? '').trim().toLowerCase().replace(/_/g, '-');
+  if (!raw) return null;
+  if (LOCALE_ALIASES[raw]) return LOCALE_ALIASES[raw];
+  const lang = raw.split('-')[0];
+  return LOCALE_ALIASES[lang] || lang;
+}
+
+function str(v) {
+  return v === undefined || v === null ? '' : String(v);
+}
+
+// Date objects (mysql2), SQL/ISO strings or epoch ms
+function toDateTime(value, tz) {
+  // The pool reads DB values as UTC (timezone: 'Z'): keep their wall-clock time, in tz
+  if (value instanceof Date) return DateTime.fromJSDate(value, { zone: 'utc' }).setZone(tz, { keepLocalTime: true });
+  if (typeof value === 'number') return DateTime.fromMillis(value, { zone: tz });
+  const text = str(value).trim();
+  const dt = DateTime.fromSQL(text, { zone: tz });
+  return dt.isValid ? dt : DateTime.fromISO(text, { zone: tz });
+}
+
+const FILTERS = {
+  bold: (v) => (str(v) ? `*${v}*` : ''),
+  italic: (v) => (str(v) ? `_${v}_` : ''),
+  strike: (v) => (str(v) ? `~${v}~` : ''),
+  mono: (v) => (str(v) ? `\`\`\`${v}\`\`\`` : ''),
+  upper: (v) => str(v).toUpperCase(),
+  lower: (v) => str(v).toLowerCase(),
+  default: (v, fallback = '') => (str(v) === '' ? fallback : v),
+  // First Strong Isolate ... Pop Directional Isolate: keeps Latin names/numbers readable in RTL text
+  isolate: (v) => (str(v) ? `\u2068${v}\u2069` : ''),
+  date: (v, format = 'medium', { locale, tz } = {}) => {
+    if (str(v) === '') return '';
+    const dt = toDateTime(v, tz);
+    if (!dt.isValid) return str(v);
+    const localized = dt.setLocale(INTL_LOCALES[locale] || locale || 'fr-FR');
+    return DATE_PRESETS[format] ? localized.toLocaleString(DATE_PRESETS[format]) : localized.toFormat(format);
+  },
+};
+
+const TAG_RE = /\{\{\s*([#/]?)([\s\S]*?)\s*\}\}/g;
+
+function lookup(params, key) {
+  if (key === '.') return params;
+  return key.split('.').reduce((obj, k) => (obj == null ? undefined : obj[k]), params);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+// "default:\"—\"" => ['default', '—']
+function parseFilter(expr) {
+  const m = expr.trim().match(/^(\w+)(?::\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?$/);
+  if (!m) throw new Error(`Invalid template filter "${expr.trim()}"`);
+  const arg = m[2] ?? m[3] ?? m[4];
+  if (!FILTERS[m[1]]) throw new Error(`Unknown template filter "${m[1]}"`);
+  return { name: m[1], arg };
+}
+
+/**
+ * Parse a template into a tree of text / var / if / each nodes.
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let target = root.children;
+  let last = 0;
+  let m;
+
+  TAG_RE.lastIndex = 0;
+  while ((m = TAG_RE.exec(source))) {
+    if (m.index > last) target.push({ type: 'text', value: source.slice(last, m.index) });
+    last = TAG_RE.lastIndex;
+
+    const [, sigil, body] = m;
+    if (sigil === '#') {
+      const [block, ...args] = body.split(/\s+/);
+      if (!['if', 'each'].includes(block) || args.length !== 1) throw new Error(`Unsupported block "{{#${body}}}"`);
+      const node = { type: block, key: args[0], then: [], else: [] };
+      target.push(node);
+      stack.push(node);
+      target = node.then;
+    } else if (sigil === '/') {
+      const node = stack.pop();
+      if (node === root || node.type !== body) throw new Error(`Unexpected "{{/${body}}}"`);
+      const parent = stack[stack.length - 1];
+      target = parent.inElse ? parent.else : (parent.then || parent.children);
+    } else if (body === 'else') {
+      const node = stack[stack.length - 1];
+      if (node === root || node.inElse) throw new Error('Unexpected "{{else}}"');
+      node.inElse = true;
+      target = node.else;
+    } else {
+      const [key, ...filters] = body.split('|');
+      target.push({ type: 'var', key: key.trim(), filters: filters.map(parseFilter) });
+    }
+  }
+  if (stack.length > 1) {
+    const node = stack[stack.length - 1];
+    throw new Error(`Unclosed "{{#${node.type} ${node.key}}}"`);
+  }
+  if (last < source.length) target.push({ type: 'text', value: source.slice(last) });
+  return root.children;
+}
+
+function renderNodes(nodes, params, ctx) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'if') {
+      return renderNodes(isTruthy(lookup(params, node.key)) ? node.then : node.else, params, ctx);
+    }
+    if (node.type === 'each') {
+      const items = lookup(params, node.key);
+      if (!Array.isArray(items) || !items.length) return renderNodes(node.else, params, ctx);
+      return items.map((item, i) => {
+        const scope = { ...params, ...(item && typeof item === 'object' ? item : {}), this: item, '@index': i, '@number': i + 1 };
+        return renderNodes(node.then, scope, ctx);
+      }).join('');
+    }
+    let value = lookup(params, node.key);
+    node.filters.forEach(({ name, arg }) => { value = FILTERS[name](value, arg, ctx); });
+    return str(value);
+  }).join('');
+}
+
+/**
+ * Render a template string with the given params.
+ * @param {string} source
+ * @param {Object} [params]
+ * @param {Object} [options]
+ * @param {string} [options.locale] - used by the date filter
+ * @param {string} [options.tz] - timezone of date strings
+ * @returns {string}
+ */
+function renderString(source, params = {}, { locale = null, tz = 'Africa/Casablanca' } = {}) {
+  return renderNodes(parse(String(source || '')), params || {}, { locale: normalizeLocale(locale), tz });
+}
+
+/**
+ * Templates stored as `<dir>/<key>.txt`, read on every render so they can be
+ * edited without restarting the service. Translations are `<key>.<locale>.txt`
+ * (e.g. task_reminder.ar.txt); `<key>.txt` is used for any other locale.
+ */
+class TemplateStore {
+  constructor({ dir, logger = console } = {}) {
+    this.dir = dir;
+    this.logger = logger || console;
+  }
+
+  _file(key) {
+    if (!this.dir || !/^[\w.-]+$/.test(String(key || '')) || String(key).startsWith('.')) return null;
+    return path.join(this.dir, `${key}.txt`);
+  }
+
+  has(key) {
+    const file = this._file(key);
+    return !!file && fs.existsSync(file);
+  }
+
+  // Translation for `locale`, else the base template (and its locale)
+  _find(key, locale) {
+    const lang = normalizeLocale(locale);
+    const candidates = lang ? [[`${key}.${lang}`, lang], [key, BASE_LOCALE]] : [[key, BASE_LOCALE]];
+    for (const [candidate, candidateLocale] of candidates) {
+      const file = this._file(candidate);
+      if (file && fs.existsSync(file)) {
+        const source = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+        return { source, locale: candidateLocale };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @returns {string|null} raw template (without the trailing newline editors add), null if missing
+   */
+  get(key, locale = null) {
+    return this._find(key, locale)?.source ?? null;
+  }
+
+  list() {
+    if (!this.dir || !fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter((f) => f.endsWith('.txt'))
+      .map((f) => f.slice(0, -4))
+      .sort();
+  }
+
+  /**
+   * Dates are formatted in the language of the template used (French for an untranslated locale).
+   * @throws {Error} code 'template_not_found' when the key does not exist
+   */
+  render(key, params = {}, { locale = null, tz } = {}) {
+    const template = this._find(key, locale);
+    if (!template) {
+      const err = new Error(`Template "${key}" not found`);
+      err.code = 'template_not_found';
+      throw err;
+    }
+    return renderString(template.source, params, { locale: template.locale, tz });
+  }
+}
+
+module.exports = { TemplateStore, renderString, normalizeLocale, FILTERS };
@@ -0,0 +1,348 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { RateLimitedQueue } = require('./sendQueue');
+const { readJsonFile } = require('./jsonFile');
+
+const SESSION_NAME_RE = /^[\w-]+$/;
+
+/**
+ * One WhatsApp account: its whatsapp-web.js client, connection state and send queue.
+ * Events: 'qr' (qr), 'code' (pairing code), 'ready', 'authenticated', 'auth_failure' (message),
+ * 'disconnected' (reason), 'restarting' (action), 'message' (msg), 'message_ack' (msg, ack).
+ */
+class WaSession extends EventEmitter {
+  constructor({
+    name,
+    isDefault = false,
+    createClient,        // (session, { pairWithPhoneNumber }) => Client
+    authDir = null,      // LocalAuth folder of this session (session-<clientId>)
+    queueOptions = {},   // RateLimitedQueue options (without processor)
+    processor,           // async (session, data, meta) => result
+    logger = console,
+  } = {}) {
+    super();
+    this.name = name;
+    this.isDefault = isDefault;
+    this.authDir = authDir;
+    this.logger = logger || console;
+    this._createClient = createClient;
+
+    this.isClientReady = false;
+    this.lastQr = null;
+    this.lastState = 'INIT';
+    this.lastReadyAt = null;
+    this.lastGetState = null;
+    this.lastGetStateAt = null;
+    this.lastPairingCode = null;
+    this._reinitTimer = null;
+    this._restarting = null;
+
+    this.client = createClient(this, {});
+    this.queue = new RateLimitedQueue({
+      ...queueOptions,
+      logger: this.logger,
+      processor: (data, meta) => processor(this, data, meta),
+    });
+    this._bindClient();
+  }
+
+  get tag() {
+    return `[wa:${this.name}]`;
+  }
+
+  _bindClient() {
+    const { client } = this;
+
+    client.on('qr', (qr) => {
+      this.logger.log(`${this.tag} QR Code généré`);
+      this.isClientReady = false;
+      this.lastQr = qr;
+      this.emit('qr', qr);
+    });
+
+    client.on('code', (code) => {
+      this.logger.log(`${this.tag} Code d'appairage généré`);
+      this.isClientReady = false;
+      this.lastPairingCode = code;
+      this.emit('code', code);
+    });
+
+    client.on('ready', () => {
+      this.logger.log(`${this.tag} Client prêt ✅`);
+      this.isClientReady = true;
+      this.lastState = 'CONNECTED';
+      this.lastReadyAt = Date.now();
+      this.lastQr = null;
+      this.lastPairingCode = null;
+      this.emit('ready');
+    });
+
+    client.on('authenticated', () => {
+      this.logger.log(`${this.tag} Authentifié ✅`);
+      this.emit('authenticated');
+    });
+
+    client.on('auth_failure', (msg) => {
+      this.logger.error(`${this.tag} Erreur d'authentification :`, msg);
+      this.isClientReady = false;
+      this.lastState = 'AUTH_FAILURE';
+      this.emit('auth_failure', msg);
+      this.scheduleReinit(5000);
+    });
+
+    client.on('disconnected', (reason) => {
+      this.logger.log(`${this.tag} Déconnecté :`, reason);
+      this.isClientReady = false;
+      this.lastState = 'DISCONNECTED';
+      this.emit('disconnected', reason);
+      this.scheduleReinit(3000);
+    });
+
+    client.on('change_state', (state) => {
+      this.lastState = state || this.lastState;
+    });
+
+    client.on('message_ack', (msg, ack) => this.emit('message_ack', msg, ack));
+    client.on('message', (msg) => this.emit('message', msg));
+  }
+
+  initialize() {
+    return this.client.initialize().catch((e) => {
+      this.logger.error(`${this.tag} Erreur d'initialisation:`, e?.message || e);
+    });
+  }
+
+  /**
+   * Replace the client without restarting the process: persist the queue, stop the current
+   * client with `stop`, run `beforeStart` (e.g. move the auth folder), then start a new one.
+   * Pending sends wait in the queue until the new client is ready.
+   * @param {string} action - 'restart' | 'logout' | 'reset' | 'pair', logged and emitted as 'restarting'
+   * @param {Object} [options]
+   * @param {(client) => Promise} [options.stop] - defaults to client.destroy()
+   * @param {() => Promise} [options.beforeStart]
+   * @param {string} [options.pairWithPhoneNumber] - log in with a pairing code ('code' event) instead of a QR
+   */
+  async restart(action = 'restart', { stop = (c) => c.destroy(), beforeStart = null, pairWithPhoneNumber = null } = {}) {
+    if (this._restarting) throw Object.assign(new Error('Session is already restarting'), { code: 'session_busy' });
+    this._restarting = action;
+    try {
+      this.logger.log(`${this.tag} ${action}...`);
+      this.queue.persist();
+      clearTimeout(this._reinitTimer);
+      this._reinitTimer = null;
+      this.isClientReady = false;
+      this.lastState = 'RESTARTING';
+      this.lastGetState = null;
+      this.lastQr = null;
+      this.lastPairingCode = null;
+      this.emit('restarting', action);
+
+      // Events of the old client (disconnected → reinit...) must not reach the new state
+      const old = this.client;
+      old.removeAllListeners();
+      try {
+        await stop(old);
+      } catch (e) {
+        // e.g. logout on a browser that never started: make sure it is closed and go on
+        this.logger.warn(`${this.tag} ${action}: arrêt du client impossible (${e?.message || e}), on continue`);
+        await Promise.resolve().then(() => old.destroy()).catch(() => {});
+      }
+      if (beforeStart) await beforeStart();
+
+      this.client = this._createClient(this, { pairWithPhoneNumber });
+      this._bindClient();
+      this.lastState = 'INIT';
+      this.initialize();
+    } finally {
+      this._restarting = null;
+    }
+  }
+
+  /**
+   * Unlink the device (WhatsApp > Linked devices) and wait for a new QR.
+   */
+  logout() {
+    return this.restart('logout', { stop: (c) => c.logout() });
+  }
+
+  /**
+   * Start over from a fresh session: the auth folder is moved to `backupRoot` (kept for a
+   * manual rollback) and the web version cache is removed.
+   * @returns {Promise<{ backup: string|null }>}
+   */
+  async reset({ backupRoot, cacheDir = null } = {}) {
+    let backup = null;
+    await this.restart('reset', {
+      beforeStart: async () => {
+        if (this.authDir && fs.existsSync(this.authDir)) {
+          backup = path.join(backupRoot, path.basename(this.authDir));
+          await fs.promises.mkdir(backupRoot, { recursive: true });
+          await fs.promises.rename(this.authDir, backup);
+          this.logger.log(`${this.tag} session sauvegardée dans ${backup}`);
+        }
+        if (cacheDir) await fs.promises.rm(cacheDir, { recursive: true, force: true });
+      },
+    });
+    return { backup };
+  }
+
+  /**
+   * Restart the client in phone number pairing mode and resolve with the first code.
+   * @param {string} phoneNumber - international format, digits only
+   */
+  requestPairingCode(phoneNumber, { timeoutMs = 60000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off('code', onCode);
+        reject(Object.assign(new Error('No pairing code received'), { code: 'pairing_code_timeout' }));
+      }, timeoutMs);
+      const onCode = (code) => {
+        clearTimeout(timer);
+        resolve(code);
+      };
+      this.once('code', onCode);
+      this.restart('pair', { pairWithPhoneNumber: phoneNumber }).catch((e) => {
+        clearTimeout(timer);
+        this.off('code', onCode);
+        reject(e);
+      });
+    });
+  }
+
+  isConnected() {
+    return this.lastState === 'CONNECTED' || this.lastGetState === 'CONNECTED';
+  }
+
+  isReady() {
+    return this.isClientReady && this.isConnected();
+  }
+
+  async refreshState() {
+    try {
+      const state = await this.client.getState();
+      this.lastGetState = state;
+      this.lastGetStateAt = Date.now();
+
+      if (typeof state === 'string' && state) {
+        // Keep lastState aligned with what WhatsApp reports (whatsapp-web.js can miss change_state on some updates)
+        this.lastState = state;
+      }
+
+      // Self-heal: sometimes the WhatsApp Web session is CONNECTED but the 'ready' event never fires.
+      if (state === 'CONNECTED' && !this.isClientReady) {
+        this.logger.warn(`${this.tag} state is CONNECTED but isClientReady=false; forcing ready=true`);
+        this.isClientReady = true;
+        this.lastReadyAt = Date.now();
+        this.emit('ready');
+      }
+
+      if (state !== 'CONNECTED' && this.isClientReady) {
+        // If WhatsApp reports non-connected state, reflect it.
+        this.isClientReady = false;
+      }
+
+      return state;
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /**
+   * State for the send endpoints: asks WhatsApp, falls back to the last known state.
+   * @returns {Promise<{ connected: boolean, state: string }>}
+   */
+  async connectionState() {
+    let state = this.lastState;
+    try { state = await this.client.getState(); } catch (_) {}
+    const connected = this.isClientReady && (state === 'CONNECTED' || this.lastState === 'CONNECTED');
+    return { connected, state };
+  }
+
+  scheduleReinit(delayMs = 3000) {
+    if (this._reinitTimer) return;
+    this._reinitTimer = setTimeout(() => {
+      this._reinitTimer = null;
+      try {
+        this.logger.log(`${this.tag} Reinitialisation du client WhatsApp...`);
+        this.client.initialize();
+      } catch (e) {
+        this.logger.warn(`${this.tag} Erreur lors de la réinitialisation:`, e?.message);
+      }
+    }, delayMs);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      default: this.isDefault,
+      ready: this.isClientReady && this.isConnected(),
+      state: this.lastGetState || this.lastState,
+      lastState: this.lastState,
+      sendQueue: this.queue.stats(),
+      pausedByWindow: this.queue.isPausedByWindow(),
+      hasQr: !!this.lastQr,
+      hasPairingCode: !!this.lastPairingCode,
+      restarting: this._restarting,
+      lastReadyAt: this.lastReadyAt,
+      lastGetState: this.lastGetState,
+      lastGetStateAt: this.lastGetStateAt,
+    };
+  }
+}
+
+/**
+ * Sessions to run: `sessions.json` ({ sessions: [{ name, clientId }], routes: [...] }),
+ * else WA_SESSIONS (comma separated names), else a single "default" session.
+ * The first session is the default one.
+ * @returns {{ sessions: Array<{ name: string, clientId: string|null }>, routes: Array<Object> }}
+ */
+function loadSessionConfig({ file = null, names = '', logger = console } = {}) {
+  const config = file ? readJsonFile(file, null, logger) : null;
+  const raw = Array.isArray(config) ? config : config?.sessions;
+  const list = Array.isArray(raw) && raw.length
+    ? raw.map((s) => (typeof s === 'string' ? { name: s } : s || {}))
+    : String(names || '').split(',').map((n) => ({ name: n.trim() })).filter((s) => s.name);
+
+  const sessions = [];
+  list.forEach((s) => {
+    const name = String(s.name || '').trim();
+    if (!SESSION_NAME_RE.test(name)) {
+      logger.warn(`[sessions] invalid session name "${s.name}"; ignored`);
+      return;
+    }
+    if (sessions.some((x) => x.name === name)) {
+      logger.warn(`[sessions] duplicate session "${name}"; ignored`);
+      return;
+    }
+    sessions.push({ name, clientId: s.clientId ? String(s.clientId) : null });
+  });
+  if (!sessions.length) sessions.push({ name: 'default', clientId: null });
+
+  const routes = (Array.isArray(config?.routes) ? config.routes : []).filter((route) => {
+    if (route && sessions.some((s) => s.name === route.session)) return true;
+    logger.warn(`[sessions] route ${JSON.stringify(route)} points to an unknown session; ignored`);
+    return false;
+  });
+  return { sessions, routes };
+}
+
+/**
+ * First route whose criteria all match the send meta, e.g.
+ * { "project": ["Chantier A", "Chantier B"], "session": "projects" } or { "source": "bulk_api", "session": "hr" }.
+ * @returns {string|null} session name
+ */
+function routeSession(routes, meta = {}) {
+  const route = routes.find(({ session, ...criteria }) => {
+    const keys = Object.keys(criteria);
+    return keys.length > 0 && keys.every((key) => {
+      const expected = Array.isArray(criteria[key]) ? criteria[key] : [criteria[key]];
+      return meta[key] !== undefined && meta[key] !== null && expected.map(String).includes(String(meta[key]));
+    });
+  });
+  return route ? route.session : null;
+}
+
+module.exports = { WaSession, loadSessionConfig, routeSession, SESSION_NAME_RE };
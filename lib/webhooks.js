@@ -0,0 +1,109 @@
+'use strict';
+
+const crypto = require('crypto');
+const { RetryOutbox } = require('./retryOutbox');
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the shared secret, hex encoded.
+ * Receivers recompute it from the X-Webhook-Timestamp header and the raw body.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POSTs JSON events to configured URLs. Every delivery goes through a
+ * persisted outbox and is retried with exponential backoff, so events are not
+ * lost when the receiver (or this process) is down.
+ */
+class WebhookDispatcher {
+  constructor({
+    name = 'webhooks',
+    urls = [],
+    secret = null,
+    events = null,       // Optional allow-list of event names (null = all)
+    headers = {},        // Extra headers sent with every delivery
+    storageFile = null,  // Persisted outbox
+    maxAttempts = 8,
+    retryBaseMs = 10000,
+    retryMaxMs = 30 * 60 * 1000,
+    timeoutMs = 10000,
+    logger = console,
+  } = {}) {
+    this.name = name;
+    this.urls = (urls || []).filter(Boolean);
+    this.secret = secret || null;
+    this.events = Array.isArray(events) && events.length ? events : null;
+    this.headers = headers || {};
+    this.timeoutMs = Math.max(1000, Number(timeoutMs) || 10000);
+    this.logger = logger || console;
+
+    this._outbox = new RetryOutbox({
+      name: this.name,
+      deliver: (delivery) => this._deliver(delivery),
+      describe: (delivery) => `${delivery.event} to ${delivery.url}`,
+      storageFile,
+      maxAttempts,
+      retryBaseMs,
+      retryMaxMs,
+      logger: this.logger,
+    });
+  }
+
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  /**
+   * Run `fn` (synchronous) without rewriting the outbox for each event, then save once.
+   */
+  deferSaves(fn) {
+    return this._outbox.deferSaves(fn);
+  }
+
+  /**
+   * Queue an event for every configured URL.
+   * @param {string} event - e.g. 'message.sent'
+   * @param {Object} data - event payload
+   */
+  emit(event, data = {}) {
+    if (!this.enabled) return null;
+    if (this.events && !this.events.includes(event)) return null;
+
+    const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+    this.deferSaves(() => this.urls.forEach((url) => this._outbox.add({ url, event, payload })));
+    return payload;
+  }
+
+  async _deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Id': delivery.payload.id,
+      'X-Webhook-Timestamp': String(timestamp),
+      ...this.headers,
+    };
+    if (this.secret) headers['X-Webhook-Signature'] = `sha256=${signPayload(this.secret, timestamp, body)}`;
+
+    const resp = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  }
+
+  stats() {
+    return {
+      name: this.name,
+      enabled: this.enabled,
+      urls: this.urls.length,
+      ...this._outbox.stats(),
+    };
+  }
+}
+
+module.exports = { WebhookDispatcher, signPayload };
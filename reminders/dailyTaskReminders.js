@@ -1,12 +1,32 @@
 'use strict';
 
+const path = require('path');
+const crypto = require('crypto');
 const { DateTime } = require('luxon');
 const { logReminder } = require('../lib/logger');
+const { TemplateStore, normalizeLocale } = require('../lib/templates');
+const { defaultReminderRule, ruleDueDate } = require('./rules');
 
 function getTodayDateString(tz) {
   return DateTime.now().setZone(tz).toISODate(); // YYYY-MM-DD
 }
 
+// Rules other than the default one (and owner copies) get their own key space
+function keyScope(rule, role) {
+  return rule === 'active' && role === 'assignee' ? '' : `${rule}:${role}:`;
+}
+
+// Same task on the same day => same key, so a re-run does not message twice
+function reminderIdempotencyKey(taskId, today, { rule = 'active', role = 'assignee' } = {}) {
+  return `reminder:${keyScope(rule, role)}${taskId}:${today}`;
+}
+
+// A digest covers several tasks: key on the (sorted) task set of the day
+function digestIdempotencyKey(taskIds, today, { rule = 'active', role = 'assignee' } = {}) {
+  const hash = crypto.createHash('sha1').update([...taskIds].map(String).sort().join(',')).digest('hex').slice(0, 16);
+  return `reminder:digest:${keyScope(rule, role)}${hash}:${today}`;
+}
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -15,38 +35,142 @@ function shouldSendSeen() {
   return String(process.env.WA_SEND_SEEN || 'false').toLowerCase() === 'true';
 }
 
-function makeReminderText(row) {
-  const assignee = [row.prenom, row.name].filter(Boolean).join(' ').trim() || '—';
-
-  const start = row.effective_start || row.start_date || '—';
-  const end = row.effective_end || row.end_date || '—';
-  const pct = row.pourcentage ?? 0;
-  const label = row.description || row.title || `Tâche #${row.id}`;
-
-  const project = row.project_title || row.projectTitle || '—';
-  const list = row.list_title || row.listTitle || '—';
-  const type = row.type || '—';
-  const status = row.status || '—';
-
-  return [
-    `⏰ Rappel de tâche`,
-    `📝 ${label}`,
-    `📁 Projet: ${project}`,
-    `📋 Liste: ${list}`,
-    `🏷️ Statut: ${status}`,
-    `📌 Type: ${type}`,
-    `📊 Progression: ${pct}%`,
-    `📅 Début: ${start}`,
-    `⏳ Échéance: ${end}`,
-    `👥 Assigné à: ${assignee}`,
-  ].join('\n');
+// Reminder text comes from templates/<REMINDER_TEMPLATE>.txt (editable without redeploying)
+const defaultTemplates = new TemplateStore({ dir: path.join(__dirname, '..', 'templates') });
+
+function fullName(prenom, name) {
+  return [prenom, name].filter(Boolean).join(' ').trim() || null;
+}
+
+function reminderParams(row, { today = null, tz, rule = null } = {}) {
+  const end = row.effective_end || row.end_date || null;
+  const dueDate = toIsoDate(end, tz);
+  // > 0 overdue, < 0 days left
+  const late = today && dueDate
+    ? Math.round(DateTime.fromISO(today).diff(DateTime.fromISO(dueDate), 'days').days)
+    : null;
+  return {
+    taskId: row.id,
+    label: row.description || row.title || null,
+    project: row.project_title || row.projectTitle || null,
+    list: row.list_title || row.listTitle || null,
+    status: row.status || null,
+    type: row.type || null,
+    progress: row.pourcentage ?? 0,
+    start: row.effective_start || row.start_date || null,
+    end,
+    dueDate,
+    overdue: late !== null && late > 0,
+    daysLeft: late === null ? null : Math.max(0, -late),
+    daysOverdue: late === null ? null : Math.max(0, late),
+    assignee: fullName(row.prenom, row.name),
+    owner: fullName(row.owner_prenom, row.owner_name),
+    recipientRole: row.recipientRole || 'assignee',
+    forOwner: row.recipientRole === 'owner',
+    rule: rule?.id || null,
+    ruleType: rule?.type || null,
+    days: rule?.days ?? null,
+    task: row,
+  };
+}
+
+// Recipient locale: users column / API field, else the configured default
+function reminderLocale(row, defaultLocale) {
+  return normalizeLocale(row.locale || row.lang) || normalizeLocale(defaultLocale) || 'fr';
+}
+
+function makeReminderText(row, templates = defaultTemplates, { locale = 'fr', tz, today, rule, templateKey } = {}) {
+  const key = templateKey || process.env.REMINDER_TEMPLATE || 'task_reminder';
+  return templates.render(key, reminderParams(row, { today, tz, rule }), { locale, tz });
+}
+
+function makeDigestText(items, allTasks, templates = defaultTemplates, { locale = 'fr', tz, today, part = 1, parts = 1, rule, templateKey } = {}) {
+  const key = templateKey || process.env.REMINDER_DIGEST_TEMPLATE || 'task_digest';
+  const forOwner = items[0]?.forOwner || false;
+  return templates.render(key, {
+    // Outside {{#each}}, assignee is the recipient's name (the owner for owner digests)
+    assignee: (forOwner ? items[0]?.owner : items[0]?.assignee) || null,
+    forOwner,
+    rule: rule?.id || null,
+    ruleType: rule?.type || null,
+    days: rule?.days ?? null,
+    today,
+    total: allTasks.length,
+    count: items.length,
+    overdueCount: allTasks.filter((t) => t.overdue).length,
+    hasOverdue: allTasks.some((t) => t.overdue),
+    tasks: items,
+    part,
+    parts,
+    multipart: parts > 1,
+  }, { locale, tz });
+}
+
+// Greedy split of a digest so every part renders within maxChars (a single task always fits)
+function chunkDigest(items, render, maxChars) {
+  const chunks = [];
+  let current = [];
+  for (const item of items) {
+    const candidate = [...current, item];
+    if (current.length && render(candidate).length > maxChars) {
+      chunks.push(current);
+      current = [item];
+    } else {
+      current = candidate;
+    }
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+// Rows are already ordered by user; group them by recipient phone (and role), first-seen order
+function groupByRecipient(rows, normalizeToJid) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    let key;
+    try { key = normalizeToJid(row.tel); } catch (_) { key = String(row.tel); }
+    key = `${row.recipientRole || 'assignee'}|${key}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.values()];
+}
+
+// Date objects (mysql2) or SQL/ISO strings => YYYY-MM-DD, null when unknown
+function toIsoDate(value, tz) {
+  if (!value) return null;
+  // DATE columns come as UTC midnight (pool timezone 'Z'), whatever the host zone
+  if (value instanceof Date) return DateTime.fromJSDate(value, { zone: 'utc' }).toISODate();
+  const text = String(value).trim();
+  let dt = DateTime.fromSQL(text, { zone: tz });
+  if (!dt.isValid) dt = DateTime.fromISO(text, { zone: tz });
+  return dt.isValid ? dt.toISODate() : null;
+}
+
+// Column names cannot be bound as query parameters: only plain identifiers are accepted
+function sqlIdentifier(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(String(name))) throw new Error(`Invalid column name "${name}"`);
+  return `\`${name}\``;
 }
 
-async function fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoyerAuto }) {
+async function fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoyerAuto, rule = defaultReminderRule() }) {
   const base = (apiBase || '').replace(/\/$/, '');
   if (!base) throw new Error('REMINDER_API_BASE not configured');
 
-  const url = `${base}/reminders/daily-tasks?date=${encodeURIComponent(today)}&tz=${encodeURIComponent(tz)}&onlyEnvoyerAuto=${onlyEnvoyerAuto ? 'true' : 'false'}`;
+  // sirh-back selects the tasks of the rule: type=active (date range covers `date`),
+  // or the tasks due on `dueDate` (due_soon, due_today, overdue); owner_* fields when recipients has owner
+  const query = new URLSearchParams({
+    date: today,
+    tz,
+    onlyEnvoyerAuto: onlyEnvoyerAuto ? 'true' : 'false',
+    rule: rule.id,
+    type: rule.type,
+    days: String(rule.days),
+    recipients: rule.recipients.join(','),
+  });
+  const dueDate = ruleDueDate(rule, today);
+  if (dueDate) query.set('dueDate', dueDate);
+  const url = `${base}/reminders/daily-tasks?${query}`;
   const headers = { 'Accept': 'application/json' };
   if (apiKey) headers['X-Api-Key'] = apiKey;
 
@@ -66,10 +190,55 @@ async function fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoy
   return Array.isArray(data?.items) ? data.items : [];
 }
 
-async function fetchTasksToRemind(pool, today, { onlyEnvoyerAuto }) {
+const EFFECTIVE_START = 'COALESCE(t.start_date, t.date_debut_prevu)';
+const EFFECTIVE_END = 'COALESCE(t.end_date, t.date_fin_prevu)';
+
+// Date part of the WHERE clause for a rule
+function ruleDateCondition(rule, today) {
+  if (rule.type === 'active') {
+    return {
+      sql: `${EFFECTIVE_START} IS NOT NULL
+      AND ${EFFECTIVE_END} IS NOT NULL
+      AND ${EFFECTIVE_START} <= ?
+      AND ${EFFECTIVE_END} >= ?`,
+      params: [today, today],
+    };
+  }
+  return {
+    sql: `${EFFECTIVE_END} IS NOT NULL
+      AND DATE(${EFFECTIVE_END}) = ?`,
+    params: [ruleDueDate(rule, today)],
+  };
+}
+
+// Owner of the task: owner of its list, else owner of its project (users columns)
+function ownerQueryParts(ownerColumns, localeColumn) {
+  const joins = [];
+  if (ownerColumns?.list) joins.push({ alias: 'lo', sql: `LEFT JOIN users lo ON lo.id = l.${sqlIdentifier(ownerColumns.list)}` });
+  if (ownerColumns?.project) joins.push({ alias: 'po', sql: `LEFT JOIN users po ON po.id = p.${sqlIdentifier(ownerColumns.project)}` });
+  if (!joins.length) return { select: '', joins: '' };
+
+  const pick = (column) => (joins.length === 1
+    ? `${joins[0].alias}.${column}`
+    : `CASE WHEN lo.tel IS NOT NULL AND TRIM(lo.tel) <> '' THEN lo.${column} ELSE po.${column} END`);
+  const fields = [['tel', 'tel'], ['name', 'name'], ['prenom', 'prenom']];
+  if (localeColumn) fields.push(['locale', localeColumn]);
+  return {
+    select: fields.map(([alias, column]) => `,\n      ${pick(sqlIdentifier(column))} AS owner_${alias}`).join(''),
+    joins: joins.map((j) => `\n    ${j.sql}`).join(''),
+  };
+}
+
+async function fetchTasksToRemind(pool, today, { onlyEnvoyerAuto, localeColumn = null, rule = defaultReminderRule(), ownerColumns = null }) {
   // In this codebase, envoyer_auto is used as "already sent" for auto reminders.
   // When filtering is enabled, keep tasks that are NOT marked as sent.
   const whereAuto = onlyEnvoyerAuto ? 'AND (t.envoyer_auto IS NULL OR t.envoyer_auto = 0)' : '';
+  // Optional users column holding the preferred language (fr, ar, en...)
+  const selectLocale = localeColumn ? `,\n      u.${sqlIdentifier(localeColumn)} AS locale` : '';
+  // Owner-only rules do not need the assignee's phone
+  const whereTel = rule.recipients.includes('assignee') ? "\n      AND u.tel IS NOT NULL\n      AND TRIM(u.tel) <> ''" : '';
+  const owner = rule.recipients.includes('owner') ? ownerQueryParts(ownerColumns, localeColumn) : { select: '', joins: '' };
+  const dates = ruleDateCondition(rule, today);
 
   const sql = `
     SELECT
@@ -86,47 +255,122 @@ async function fetchTasksToRemind(pool, today, { onlyEnvoyerAuto }) {
       p.titre AS project_title,
       u.name,
       u.prenom,
-      u.tel
+      u.tel${selectLocale}${owner.select}
     FROM todo_tasks t
     LEFT JOIN todo_lists l ON l.id = t.todo_list_id
     LEFT JOIN projects p ON p.id = l.project_id
-    JOIN users u ON u.id = t.assigned_to
+    JOIN users u ON u.id = t.assigned_to${owner.joins}
     WHERE
-      t.assigned_to IS NOT NULL
-      AND u.tel IS NOT NULL
-      AND TRIM(u.tel) <> ''
-      AND COALESCE(t.start_date, t.date_debut_prevu) IS NOT NULL
-      AND COALESCE(t.end_date, t.date_fin_prevu) IS NOT NULL
-      AND COALESCE(t.start_date, t.date_debut_prevu) <= ?
-      AND COALESCE(t.end_date, t.date_fin_prevu) >= ?
+      t.assigned_to IS NOT NULL${whereTel}
+      AND ${dates.sql}
       AND t.status <> 'Terminée'
       AND (t.pourcentage IS NULL OR t.pourcentage < 100)
       ${whereAuto}
     ORDER BY u.id, t.id
   `;
 
-  const [rows] = await pool.query(sql, [today, today]);
+  const [rows] = await pool.query(sql, dates.params);
   return rows;
 }
 
-async function runDailyTaskReminders({
+/**
+ * One row per (task, recipient) of the rule. Owner rows carry the owner's phone
+ * and locale; an owner is not messaged twice about their own task.
+ */
+function expandRecipients(rows, rule, recipientOf) {
+  const out = [];
+  let missingOwner = 0;
+  rows.forEach((row) => {
+    if (rule.recipients.includes('assignee')) out.push({ ...row, recipientRole: 'assignee' });
+    if (!rule.recipients.includes('owner')) return;
+    const ownerTel = String(row.owner_tel ?? '').trim();
+    if (!ownerTel) {
+      missingOwner++;
+      return;
+    }
+    if (rule.recipients.includes('assignee') && recipientOf(ownerTel) === recipientOf(row.tel)) return;
+    out.push({ ...row, tel: ownerTel, locale: row.owner_locale ?? null, lang: null, recipientRole: 'owner' });
+  });
+  return { rows: out, missingOwner };
+}
+
+/**
+ * Messages for one recipient: one per task, or in digest mode the recipient's
+ * tasks sorted by due date, split in parts of at most `digestMaxChars`.
+ * @returns {Array<{ text: string, locale: string, taskIds: Array, idempotencyKey: string, part: number, parts: number }>}
+ */
+function buildReminderMessages(rows, { mode, today, tz, templates, defaultLocale, digestMaxChars, rule = defaultReminderRule() }) {
+  const locale = reminderLocale(rows[0], defaultLocale);
+  const role = rows[0].recipientRole || 'assignee';
+  const keyOptions = { rule: rule.id, role };
+  if (mode !== 'digest') {
+    const row = rows[0];
+    // Owners get <template>_owner when it exists, else the rule's template
+    const templateKey = role === 'owner' && templates.has(rule.ownerTemplate) ? rule.ownerTemplate : rule.template;
+    return [{
+      text: makeReminderText(row, templates, { locale, tz, today, rule, templateKey }),
+      locale,
+      taskIds: [row.id],
+      idempotencyKey: reminderIdempotencyKey(row.id, today, keyOptions),
+      part: 1,
+      parts: 1,
+    }];
+  }
+
+  const templateKey = rule.digestTemplate || undefined;
+  const tasks = rows
+    .map((row) => reminderParams(row, { today, tz, rule }))
+    .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999') || String(a.taskId).localeCompare(String(b.taskId)));
+
+  const digestOptions = { locale, tz, today, rule, templateKey };
+  const chunks = chunkDigest(tasks, (items) => makeDigestText(items, tasks, templates, { ...digestOptions, part: 99, parts: 99 }), digestMaxChars);
+  return chunks.map((items, i) => {
+    const taskIds = items.map((t) => t.taskId);
+    return {
+      text: makeDigestText(items, tasks, templates, { ...digestOptions, part: i + 1, parts: chunks.length }),
+      locale,
+      taskIds,
+      idempotencyKey: digestIdempotencyKey(taskIds, today, keyOptions),
+      part: i + 1,
+      parts: chunks.length,
+    };
+  });
+}
+
+/**
+ * Shared body of the db / api runners: fetch, render, send and log.
+ */
+async function runReminders({
+  source,
+  fetchTasks,
+  requestInfo,
+  sendMeta = {},
   client,
-  pool,
   normalizeToJid,
   isWaConnected,
   tz,
-  onlyEnvoyerAuto,
   sendMessage,
   sendDelayMs,
+  priority,
+  templates,
+  defaultLocale = 'fr',
+  mode = 'task',
+  digestMaxChars = 3500,
+  ledger = null,
+  force = false,
+  rule = defaultReminderRule(),
   logger = console,
 }) {
   const today = getTodayDateString(tz);
+  const request = { source, ...requestInfo, rule: rule.id, ruleType: rule.type, mode, force: force || undefined };
+  // Ledger entries of the default rule keep their original key
+  const ledgerRule = rule.id === 'active' ? null : rule.id;
 
   // Log début du reminder
   logReminder({
     type: 'reminder_start',
     date: today,
-    request: { source: 'db', tz, onlyEnvoyerAuto }
+    request
   });
 
   if (!isWaConnected()) {
@@ -135,177 +379,173 @@ async function runDailyTaskReminders({
     logReminder({
       type: 'reminder_error',
       date: today,
-      request: { source: 'db', tz, onlyEnvoyerAuto },
+      request,
       response: errorResult,
       error: 'WhatsApp non connecté'
     });
     return errorResult;
   }
 
-  const tasks = await fetchTasksToRemind(pool, today, { onlyEnvoyerAuto });
-  logger.log(`[reminders] tasks to remind=${tasks.length} (today=${today})`);
+  const tasks = await fetchTasks(today);
+  logger.log(`[reminders] tasks to remind=${tasks.length} (today=${today}) [source=${source} rule=${rule.id} mode=${mode}]`);
 
   // Log les tâches trouvées
   logReminder({
     type: 'reminder_tasks_found',
     date: today,
-    request: { source: 'db', tz, onlyEnvoyerAuto, tasksCount: tasks.length },
-    response: { tasks: tasks.map(t => ({ id: t.id, tel: t.tel, description: t.description })) }
+    request: { ...request, tasksCount: tasks.length },
+    response: { tasks: tasks.map(t => ({ id: t.id, tel: t.tel, ownerTel: t.owner_tel, description: t.description })) }
   });
 
   let sent = 0;
   let failed = 0;
+  let duplicates = 0;
+  let suppressed = 0;
   const errors = [];
 
-  for (const row of tasks) {
-    try {
-      const jid = normalizeToJid(row.tel);
-      const text = makeReminderText(row);
-      if (typeof sendMessage === 'function') {
-        await sendMessage(jid, text, { source: 'db', taskId: row.id, tel: row.tel, today });
-      } else {
-        await client.sendMessage(jid, text, { sendSeen: shouldSendSeen() });
-      }
-      sent++;
-      
-      // Log succès d'envoi
-      logReminder({
-        type: 'reminder_success',
-        date: today,
-        request: { taskId: row.id, tel: row.tel, message: text },
-        response: { success: true, jid }
-      });
-      
-      // If a queue-based sender is injected, it already handles pacing.
-      if (sendDelayMs && typeof sendMessage !== 'function') await sleep(sendDelayMs);
-    } catch (e) {
-      failed++;
-      const errorMsg = e?.message || e;
-      errors.push({ taskId: row.id, tel: row.tel, error: errorMsg });
-      logger.error(`[reminders] send failed taskId=${row.id} userTel=${row.tel} err=${errorMsg}`);
-      
-      // Log erreur d'envoi
-      logReminder({
-        type: 'reminder_error',
-        date: today,
-        request: { taskId: row.id, tel: row.tel },
-        response: { success: false },
-        error: errorMsg
-      });
-    }
-  }
+  const recordFailure = (taskIds, tel, e) => {
+    failed++;
+    const errorMsg = e?.message || e;
+    const taskRef = taskIds.length === 1 ? { taskId: taskIds[0] } : { taskIds };
+    // Invalid phone (normalizeToJid): keep the structured reason, e.g. { reason: 'too_short', expected: '9 digits' }
+    const validation = e?.validation ? { validation: e.validation } : {};
+    errors.push({ ...taskRef, tel, error: errorMsg, ...validation });
+    logger.error(`[reminders] send failed taskId=${taskIds.join(',')} userTel=${tel} err=${errorMsg}`);
 
-  const result = { ok: true, today, total: tasks.length, sent, failed, errors };
-  
-  // Log complétion
-  logReminder({
-    type: 'reminder_complete',
-    date: today,
-    request: { source: 'db', tz, onlyEnvoyerAuto },
-    response: result
-  });
-
-  return result;
-}
-
-async function runDailyTaskRemindersViaApi({
-  client,
-  apiBase,
-  apiKey,
-  normalizeToJid,
-  isWaConnected,
-  tz,
-  onlyEnvoyerAuto,
-  sendMessage,
-  sendDelayMs,
-  logger = console,
-}) {
-  const today = getTodayDateString(tz);
-
-  // Log début du reminder
-  logReminder({
-    type: 'reminder_start',
-    date: today,
-    request: { source: 'api', apiBase, tz, onlyEnvoyerAuto }
-  });
-
-  if (!isWaConnected()) {
-    logger.warn(`[reminders] WA not connected; skip (today=${today})`);
-    const errorResult = { ok: false, skipped: true, reason: 'wa_not_connected', today };
+    // Log erreur d'envoi
     logReminder({
       type: 'reminder_error',
       date: today,
-      request: { source: 'api', apiBase, tz, onlyEnvoyerAuto },
-      response: errorResult,
-      error: 'WhatsApp non connecté'
+      request: { ...taskRef, tel, rule: rule.id },
+      response: { success: false, ...validation },
+      error: errorMsg
     });
-    return errorResult;
-  }
+  };
 
-  const tasks = await fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoyerAuto });
-  logger.log(`[reminders] tasks to remind=${tasks.length} (today=${today}) [source=api]`);
+  const recipientOf = (tel) => {
+    try { return normalizeToJid(tel); } catch (_) { return String(tel); }
+  };
 
-  // Log les tâches trouvées
-  logReminder({
-    type: 'reminder_tasks_found',
-    date: today,
-    request: { source: 'api', apiBase, tz, onlyEnvoyerAuto, tasksCount: tasks.length },
-    response: { tasks: tasks.map(t => ({ id: t.id, tel: t.tel, description: t.description })) }
-  });
-
-  let sent = 0;
-  let failed = 0;
-  const errors = [];
+  const { rows: deliveries, missingOwner } = expandRecipients(tasks, rule, recipientOf);
+  if (missingOwner) logger.warn(`[reminders] ${missingOwner} task(s) without owner phone (rule=${rule.id})`);
 
-  for (const row of tasks) {
+  // Tasks already reminded today (ledger), unless the run is forced
+  let skippedDuplicates = 0;
+  const toSend = deliveries.filter((row) => {
+    if (force || !ledger || !ledger.has(row.id, recipientOf(row.tel), today, ledgerRule)) return true;
+    skippedDuplicates++;
+    return false;
+  });
+  if (skippedDuplicates) logger.log(`[reminders] ${skippedDuplicates} reminder(s) already sent today, skipped`);
+
+  const groups = mode === 'digest'
+    ? groupByRecipient(toSend, normalizeToJid)
+    : toSend.map((row) => [row]);
+
+  for (const rows of groups) {
+    const tel = rows[0].tel;
+    const recipientRole = rows[0].recipientRole;
+    // Lets the session routes pick the account of a project (digests spanning several projects have none)
+    const projects = [...new Set(rows.map((r) => r.project_title || r.projectTitle).filter(Boolean))];
+    let messages;
     try {
-      const jid = normalizeToJid(row.tel);
-      const text = makeReminderText(row);
-      if (typeof sendMessage === 'function') {
-        await sendMessage(jid, text, { source: 'api', taskId: row.id, tel: row.tel, today, apiBase });
-      } else {
-        await client.sendMessage(jid, text, { sendSeen: shouldSendSeen() });
-      }
-      sent++;
-      
-      // Log succès d'envoi
-      logReminder({
-        type: 'reminder_success',
-        date: today,
-        request: { taskId: row.id, tel: row.tel, message: text },
-        response: { success: true, jid }
-      });
-      
-      // If a queue-based sender is injected, it already handles pacing.
-      if (sendDelayMs && typeof sendMessage !== 'function') await sleep(sendDelayMs);
+      messages = buildReminderMessages(rows, { mode, today, tz, templates, defaultLocale, digestMaxChars, rule });
     } catch (e) {
-      failed++;
-      const errorMsg = e?.message || e;
-      errors.push({ taskId: row.id, tel: row.tel, error: errorMsg });
-      logger.error(`[reminders] send failed taskId=${row.id} userTel=${row.tel} err=${errorMsg}`);
-      
-      // Log erreur d'envoi
-      logReminder({
-        type: 'reminder_error',
-        date: today,
-        request: { taskId: row.id, tel: row.tel },
-        response: { success: false },
-        error: errorMsg
-      });
+      recordFailure(rows.map((r) => r.id), tel, e);
+      continue;
+    }
+
+    for (const { text, locale, taskIds, idempotencyKey, part, parts } of messages) {
+      const taskRef = mode === 'digest' ? { taskIds, part, parts } : { taskId: taskIds[0] };
+      try {
+        const jid = normalizeToJid(tel);
+        ledger?.record(taskIds, recipientOf(tel), today, { source, rule: ledgerRule });
+        let msg;
+        if (typeof sendMessage === 'function') {
+          msg = await sendMessage(jid, text, {
+            source,
+            ...taskRef,
+            taskIds,
+            tel,
+            today,
+            rule: rule.id,
+            ruleType: rule.type,
+            recipientRole,
+            project: projects.length === 1 ? projects[0] : undefined,
+            ...sendMeta,
+            priority,
+            locale,
+            // force also bypasses the idempotency key
+            idempotencyKey: force ? null : idempotencyKey,
+          });
+        } else {
+          msg = await client.sendMessage(jid, text, { sendSeen: shouldSendSeen() });
+        }
+        if (msg?.duplicate) {
+          // Already sent today (same idempotency key)
+          duplicates++;
+          logger.log(`[reminders] duplicate skipped taskId=${taskIds.join(',')} userTel=${tel}`);
+          continue;
+        }
+        sent++;
+
+        // Log succès d'envoi
+        logReminder({
+          type: 'reminder_success',
+          date: today,
+          request: { ...taskRef, tel, message: text, locale, rule: rule.id, recipientRole },
+          response: { success: true, jid, messageId: msg?.id?._serialized || null }
+        });
+
+        // If a queue-based sender is injected, it already handles pacing.
+        if (sendDelayMs && typeof sendMessage !== 'function') await sleep(sendDelayMs);
+      } catch (e) {
+        ledger?.release(taskIds, recipientOf(tel), today, ledgerRule);
+        if (e?.code === 'recipient_suppressed') {
+          // Opted out or reassigned number: logged by the sender as message_suppressed, not a failure
+          suppressed++;
+          logger.log(`[reminders] suppressed taskId=${taskIds.join(',')} userTel=${tel} (${e.reason})`);
+          continue;
+        }
+        recordFailure(taskIds, tel, e);
+      }
     }
   }
 
-  const result = { ok: true, today, total: tasks.length, sent, failed, errors, source: 'api' };
-  
+  const result = { ok: true, today, source, rule: rule.id, mode, total: tasks.length, recipients: groups.length, sent, failed, duplicates, suppressed, skippedDuplicates, missingOwner, errors };
+
   // Log complétion
   logReminder({
     type: 'reminder_complete',
     date: today,
-    request: { source: 'api', apiBase, tz, onlyEnvoyerAuto },
+    request,
     response: result
   });
 
   return result;
 }
 
+async function runDailyTaskReminders({ pool, onlyEnvoyerAuto, localeColumn = null, ownerColumns = null, tz, rule = defaultReminderRule(), ...options }) {
+  return runReminders({
+    ...options,
+    tz,
+    rule,
+    source: 'db',
+    requestInfo: { tz, onlyEnvoyerAuto },
+    fetchTasks: (today) => fetchTasksToRemind(pool, today, { onlyEnvoyerAuto, localeColumn, rule, ownerColumns }),
+  });
+}
+
+async function runDailyTaskRemindersViaApi({ apiBase, apiKey, onlyEnvoyerAuto, tz, rule = defaultReminderRule(), ...options }) {
+  return runReminders({
+    ...options,
+    tz,
+    rule,
+    source: 'api',
+    requestInfo: { apiBase, tz, onlyEnvoyerAuto },
+    sendMeta: { apiBase },
+    fetchTasks: (today) => fetchTasksToRemindFromApi({ apiBase, apiKey, today, tz, onlyEnvoyerAuto, rule }),
+  });
+}
+
 module.exports = { runDailyTaskReminders, runDailyTaskRemindersViaApi };
@@ -0,0 +1,120 @@
+'use strict';
+
+const fs = require('fs');
+const cron = require('node-cron');
+const { DateTime } = require('luxon');
+
+const RULE_TYPES = ['active', 'due_soon', 'due_today', 'overdue'];
+const RECIPIENTS = ['assignee', 'owner'];
+
+const DEFAULT_TEMPLATES = {
+  active: 'task_reminder',
+  due_soon: 'task_due_soon',
+  due_today: 'task_due_today',
+  overdue: 'task_overdue',
+};
+
+/**
+ * Fill the defaults of one rule and validate it.
+ * @returns {{ rule: Object|null, error?: string }}
+ */
+function normalizeRule(raw, defaults = {}) {
+  const type = String(raw?.type || '').trim();
+  if (!RULE_TYPES.includes(type)) return { rule: null, error: `unknown type "${raw?.type}"` };
+
+  const id = String(raw.id || type).trim();
+  if (!/^[\w-]+$/.test(id)) return { rule: null, error: `invalid id "${raw.id}"` };
+
+  const days = type === 'due_soon' || type === 'overdue' ? Number(raw.days ?? 1) : 0;
+  if (!Number.isInteger(days) || days < 0) return { rule: null, error: `invalid days "${raw.days}"` };
+
+  const recipients = (Array.isArray(raw.recipients) ? raw.recipients : [raw.recipients || 'assignee'])
+    .map((r) => String(r).trim())
+    .filter(Boolean);
+  if (!recipients.length || recipients.some((r) => !RECIPIENTS.includes(r))) {
+    return { rule: null, error: `invalid recipients "${recipients.join(',')}" (assignee, owner)` };
+  }
+
+  const ruleCron = String(raw.cron || defaults.cron || '0 8 * * *').trim();
+  if (!cron.validate(ruleCron)) return { rule: null, error: `invalid cron "${ruleCron}"` };
+
+  const template = raw.template || (type === 'active' ? defaults.template : null) || DEFAULT_TEMPLATES[type];
+  return {
+    rule: {
+      id,
+      type,
+      days,
+      cron: ruleCron,
+      enabled: raw.enabled !== false,
+      recipients,
+      template,
+      ownerTemplate: raw.ownerTemplate || `${template}_owner`,
+      digestTemplate: raw.digestTemplate || null,
+      mode: raw.mode || null,
+      priority: raw.priority || null,
+      // WhatsApp session sending this rule (null: session routes, then the default session)
+      session: raw.session ? String(raw.session) : null,
+      // envoyer_auto means "daily reminder already sent": only the active rule filters on it by default
+      onlyEnvoyerAuto: typeof raw.onlyEnvoyerAuto === 'boolean'
+        ? raw.onlyEnvoyerAuto
+        : (type === 'active' ? defaults.onlyEnvoyerAuto !== false : false),
+    },
+  };
+}
+
+/**
+ * The rule used when no rules file exists: today's behaviour
+ * (tasks whose date range covers today, sent to the assignee).
+ */
+function defaultReminderRule(defaults = {}) {
+  return normalizeRule({ id: 'active', type: 'active' }, defaults).rule;
+}
+
+/**
+ * Load reminder-rules.json ([{ id, type, days, cron, template, recipients, enabled, ... }]).
+ * Invalid rules are skipped with a warning; a missing file gives the default rule.
+ */
+function loadReminderRules(file, defaults = {}, logger = console) {
+  if (!file || !fs.existsSync(file)) return [defaultReminderRule(defaults)];
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    logger.error(`[reminders] Cannot read rules file ${file}: ${e.message}; using the default rule`);
+    return [defaultReminderRule(defaults)];
+  }
+  const list = Array.isArray(raw) ? raw : raw?.rules;
+  if (!Array.isArray(list)) {
+    logger.error(`[reminders] Rules file ${file} must contain an array of rules; using the default rule`);
+    return [defaultReminderRule(defaults)];
+  }
+
+  const rules = [];
+  list.forEach((item, i) => {
+    const { rule, error } = normalizeRule(item, defaults);
+    if (!rule) {
+      logger.warn(`[reminders] rule #${i} ignored: ${error}`);
+      return;
+    }
+    if (rules.some((r) => r.id === rule.id)) {
+      logger.warn(`[reminders] rule #${i} ignored: duplicate id "${rule.id}"`);
+      return;
+    }
+    rules.push(rule);
+  });
+  return rules;
+}
+
+/**
+ * Due date matched by a rule on `today` (null for the active rule, which uses the date range).
+ */
+function ruleDueDate(rule, today) {
+  const base = DateTime.fromISO(today);
+  if (rule.type === 'due_soon') return base.plus({ days: rule.days }).toISODate();
+  if (rule.type === 'due_today') return today;
+  if (rule.type === 'overdue') return base.minus({ days: rule.days }).toISODate();
+  return null;
+}
+
+module.exports = { RULE_TYPES, normalizeRule, defaultReminderRule, loadReminderRules, ruleDueDate };
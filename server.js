@@ -1,5 +1,4 @@
 const path = require('path');
-const REMINDER_AT ='19:4';
 
 // Load environment variables from .env (use absolute path so it works under PM2/systemd)
 const dotenvResult = require('dotenv').config({ path: path.join(__dirname, '.env') });
@@ -7,17 +6,38 @@ if (dotenvResult?.error) {
   console.warn('[config] .env not loaded:', dotenvResult.error.message);
 }
 
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const qrcodeTerminal = require('qrcode-terminal');
+const QRCode = require('qrcode');
 const cron = require('node-cron');
+const { DateTime } = require('luxon');
 
 const { createPoolFromEnv } = require('./lib/db');
 const { runDailyTaskReminders, runDailyTaskRemindersViaApi } = require('./reminders/dailyTaskReminders');
-const { getLogs, getSentMessages, clearLogs, logReminder } = require('./lib/logger');
-const { RateLimitedQueue } = require('./lib/sendQueue');
+const { getLogs, getSentMessages, clearLogs, logReminder, setLogStore, logBackend, flushLogs } = require('./lib/logger');
+const { MysqlLogStore } = require('./lib/mysqlLogStore');
+const { MessageStatusStore } = require('./lib/messageStatus');
+const { JobStore } = require('./lib/jobStore');
+const { SendWindow } = require('./lib/sendWindow');
+const { IdempotencyStore } = require('./lib/idempotencyStore');
+const { WebhookDispatcher } = require('./lib/webhooks');
+const { InboxStore } = require('./lib/inbox');
+const { MediaStore } = require('./lib/media');
+const { BatchStore } = require('./lib/batchStore');
+const { parseCsv } = require('./lib/csv');
+const { TemplateStore, renderString } = require('./lib/templates');
+const { ReminderAckOutbox, createDbAckHandler, createApiAckHandler } = require('./lib/reminderAck');
+const { ReminderLedger } = require('./lib/reminderLedger');
+const { loadReminderRules } = require('./reminders/rules');
+const { nextRuns } = require('./lib/cronNext');
+const { readJsonFile, writeJsonFile } = require('./lib/jsonFile');
+const { WaSession, loadSessionConfig, routeSession } = require('./lib/waSession');
+const { NumberCache } = require('./lib/numberCache');
+const phoneLib = require('./lib/phone');
+const { SuppressionList } = require('./lib/suppressionList');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,28 +53,40 @@ function requireApiKey(req, res, next) {
   next();
 }
 
-const client = new Client({
-  authStrategy: new LocalAuth({
-    clientId: process.env.WWEBJS_CLIENT_ID || undefined,
-    dataPath: process.env.WWEBJS_AUTH_DIR || undefined,
-  }),
-  puppeteer: {
-    headless: true,
-    // If Chrome is installed locally, you can set CHROME_PATH env to its executable
-    executablePath: process.env.CHROME_PATH,
-    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--no-zygote']
-  },
-  // Désactiver les fonctionnalités qui peuvent causer des erreurs
-  authTimeoutMs: 60000,
-  qrMaxRetries: 5,
-  // Options pour éviter l'erreur "markedUnread"
-  webVersionCache: {
-    type: 'remote',
-    remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
-  }
-});
+// LocalAuth and the web version cache resolve their folders from the working directory
+const WWEBJS_AUTH_DIR = path.resolve(process.env.WWEBJS_AUTH_DIR || '.wwebjs_auth');
+const WWEBJS_CACHE_DIR = path.resolve('.wwebjs_cache');
+
+// One whatsapp-web.js client per session; LocalAuth keeps each clientId in its own session-<clientId> folder.
+// With pairWithPhoneNumber the client emits a pairing 'code' instead of QR codes.
+function createWaClient(clientId, { pairWithPhoneNumber = null } = {}) {
+  return new Client({
+    authStrategy: new LocalAuth({
+      clientId: clientId || undefined,
+      dataPath: WWEBJS_AUTH_DIR,
+    }),
+    pairWithPhoneNumber: pairWithPhoneNumber ? { phoneNumber: pairWithPhoneNumber, showNotification: true } : undefined,
+    puppeteer: {
+      headless: true,
+      // If Chrome is installed locally, you can set CHROME_PATH env to its executable
+      executablePath: process.env.CHROME_PATH,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--no-zygote']
+    },
+    // Désactiver les fonctionnalités qui peuvent causer des erreurs
+    authTimeoutMs: 60000,
+    qrMaxRetries: 5,
+    // Options pour éviter l'erreur "markedUnread"
+    webVersionCache: {
+      type: 'remote',
+      remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+    }
+  });
+}
 
-const REMINDER_SOURCE = (process.env.REMINDER_SOURCE || 'db').toLowerCase(); // 'db' | 'api'
+// Reminder schedule saved by PUT /api/reminders/schedule: takes priority over the env values
+const REMINDER_SCHEDULE_FILE = path.join(__dirname, '.reminder-schedule.json');
+const savedReminderSchedule = readJsonFile(REMINDER_SCHEDULE_FILE, null, console) || {};
+let REMINDER_SOURCE = (savedReminderSchedule.source || process.env.REMINDER_SOURCE || 'db').toLowerCase(); // 'db' | 'api'
 
 // DB pool (SIRH back database)
 let dbPool = null;
@@ -67,55 +99,28 @@ if (REMINDER_SOURCE !== 'api') {
   }
 }
 
-let isClientReady = false;
-let lastQr = null;
-let lastState = 'INIT';
-let lastReadyAt = null;
-let lastGetState = null;
-let lastGetStateAt = null;
-let reinitTimer = null;
-
-async function refreshClientState() {
+// Send logs in MySQL instead of logs/*.ndjson (LOG_BACKEND=mysql); tables are created at startup.
+// Until they are ready, or whenever MySQL fails, logs keep going to the daily files.
+const LOG_BACKEND = (process.env.LOG_BACKEND || 'file').toLowerCase();
+if (LOG_BACKEND === 'mysql') {
   try {
-    const state = await client.getState();
-    lastGetState = state;
-    lastGetStateAt = Date.now();
-
-    if (typeof state === 'string' && state) {
-      // Keep lastState aligned with what WhatsApp reports (whatsapp-web.js can miss change_state on some updates)
-      lastState = state;
-    }
-
-    // Self-heal: sometimes the WhatsApp Web session is CONNECTED but the 'ready' event never fires.
-    // In that case, allow the service to recover automatically.
-    if (state === 'CONNECTED' && !isClientReady) {
-      console.warn('[wa] state is CONNECTED but isClientReady=false; forcing ready=true');
-      isClientReady = true;
-      lastReadyAt = Date.now();
-      io.emit('ready');
-    }
-
-    if (state !== 'CONNECTED' && isClientReady) {
-      // If WhatsApp reports non-connected state, reflect it.
-      isClientReady = false;
-    }
-
-    return state;
-  } catch (_e) {
-    return null;
+    const logStore = new MysqlLogStore({
+      pool: dbPool || createPoolFromEnv(),
+      table: process.env.LOG_DB_TABLE || 'wa_logs',
+      phoneKey: (tel) => phoneKey(tel),
+      logger: console,
+    });
+    logStore.init()
+      .then(() => {
+        setLogStore(logStore);
+        console.log(`[logs] MySQL backend ready (table ${logStore.table})`);
+      })
+      .catch((e) => console.error('[logs] MySQL backend unavailable, logging to files:', e?.message || e));
+  } catch (e) {
+    console.error('[logs] LOG_BACKEND=mysql but MySQL is not configured, logging to files:', e?.message || e);
   }
-}
-function scheduleReinit(delayMs = 3000) {
-  if (reinitTimer) return;
-  reinitTimer = setTimeout(() => {
-    reinitTimer = null;
-    try {
-      console.log('Reinitialisation du client WhatsApp...');
-      client.initialize();
-    } catch (e) {
-      console.warn('Erreur lors de la réinitialisation:', e?.message);
-    }
-  }, delayMs);
+} else if (LOG_BACKEND !== 'file') {
+  console.warn(`[logs] Unknown LOG_BACKEND "${LOG_BACKEND}", logging to files`);
 }
 
 // WhatsApp send throttling (prevents burst sending that can trigger bans/blocks)
@@ -138,123 +143,555 @@ const WA_LONG_PAUSE_MAX_MS = process.env.WA_LONG_PAUSE_MAX_MS ? Number(process.e
 // Default to false to keep sending messages reliable; can be re-enabled via WA_SEND_SEEN=true.
 const WA_SEND_SEEN = String(process.env.WA_SEND_SEEN || 'false').toLowerCase() === 'true';
 
+// Retry failed sends with exponential backoff (base, 2x base, 4x base... capped)
+const WA_MAX_ATTEMPTS = process.env.WA_MAX_ATTEMPTS ? Number(process.env.WA_MAX_ATTEMPTS) : 3;
+const WA_RETRY_BASE_MS = process.env.WA_RETRY_BASE_MS ? Number(process.env.WA_RETRY_BASE_MS) : 30000;
+const WA_RETRY_MAX_MS = process.env.WA_RETRY_MAX_MS ? Number(process.env.WA_RETRY_MAX_MS) : 15 * 60 * 1000;
+
+// Priority lanes, highest first. They share the rate budget; a higher lane is always picked first.
+const WA_LANES = (process.env.WA_LANES || 'urgent,normal,bulk').split(',').map(l => l.trim()).filter(Boolean);
+const WA_DEFAULT_LANE = process.env.WA_DEFAULT_LANE || 'normal';
+
+// Sending window (quiet hours), e.g. WA_SEND_WINDOW=08:00-20:00 WA_SEND_DAYS=1-6 (1 = Monday).
+// Messages outside the window are held until it reopens unless sent with bypassWindow=true.
+let WA_SEND_WINDOW = null;
+try {
+  WA_SEND_WINDOW = SendWindow.fromConfig({
+    range: process.env.WA_SEND_WINDOW,
+    days: process.env.WA_SEND_DAYS,
+    tz: process.env.WA_SEND_TZ || process.env.REMINDER_TZ || 'Africa/Casablanca',
+  });
+} catch (e) {
+  console.warn('[config] WA_SEND_WINDOW ignored:', e?.message);
+}
+if (WA_SEND_WINDOW) {
+  const w = WA_SEND_WINDOW.describe();
+  console.log(`[config] sending window ${w.start}-${w.end} days=${w.days.join(',')} tz=${w.tz}`);
+}
+
 // File to persist queue state
 const QUEUE_FILE = path.join(__dirname, '.queue-persist.json');
+// Messages that used up their attempts
+const DEAD_LETTER_FILE = path.join(__dirname, '.queue-deadletter.json');
+
+// Media for /send-media: the queue only keeps a reference, uploads are spooled to disk
+const WA_MEDIA_MAX_BYTES = process.env.WA_MEDIA_MAX_BYTES ? Number(process.env.WA_MEDIA_MAX_BYTES) : 16 * 1024 * 1024;
+const mediaStore = new MediaStore({
+  spoolDir: path.join(__dirname, '.media-spool'),
+  allowedDir: process.env.WA_MEDIA_DIR ? path.resolve(__dirname, process.env.WA_MEDIA_DIR) : null,
+  maxBytes: WA_MEDIA_MAX_BYTES,
+  MessageMedia,
+  logger: console,
+});
 
-const waSendQueue = new RateLimitedQueue({
-  name: 'wa-send',
-  storageFile: QUEUE_FILE,
-  minIntervalMs: WA_MIN_INTERVAL_MS,
-  maxPerWindow: WA_RATE_MAX,
-  windowMs: WA_RATE_WINDOW_MS,
-  jitterMs: WA_JITTER_MS,
-  longPauseChance: WA_LONG_PAUSE_CHANCE,
-  longPauseMinMs: WA_LONG_PAUSE_MIN_MS,
-  longPauseMaxMs: WA_LONG_PAUSE_MAX_MS,
+// Delivery/read receipts (message_ack) of sent messages
+const messageStatus = new MessageStatusStore({
+  storageFile: path.join(__dirname, '.message-status.json'),
+  maxEntries: process.env.MESSAGE_STATUS_MAX ? Number(process.env.MESSAGE_STATUS_MAX) : 5000,
   logger: console,
-  processor: async ({ jid, text }) => {
-    // Wait for client to be ready (instead of failing immediately if queue loads before content)
-    while (!isClientReady || !isWaConnected()) {
-      await new Promise(r => setTimeout(r, 2000));
-    }
-    return client.sendMessage(jid, text, { sendSeen: WA_SEND_SEEN });
+});
+
+// Which numbers have WhatsApp (POST /contacts/check), checked before every send
+const numberCache = new NumberCache({
+  storageFile: path.join(__dirname, '.number-cache.json'),
+  ttlMs: process.env.NUMBER_CACHE_TTL_MS ? Number(process.env.NUMBER_CACHE_TTL_MS) : 7 * 24 * 60 * 60 * 1000,
+  missTtlMs: process.env.NUMBER_CACHE_MISS_TTL_MS ? Number(process.env.NUMBER_CACHE_MISS_TTL_MS) : 24 * 60 * 60 * 1000,
+  logger: console,
+});
+
+// Opt-outs and reassigned numbers: nothing is sent to them, whatever the source
+const suppressions = new SuppressionList({ storageFile: path.join(__dirname, '.suppression.json'), logger: console });
+// Inbound messages made of one of these words add the sender (accents and case ignored)
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'STOP,ARRET').split(',').map(normalizeKeyword).filter(Boolean);
+
+function normalizeKeyword(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w\s]/g, '').trim().toUpperCase();
+}
+
+// Suppression entry of a phone JID (groups are never suppressed)
+function suppressionOf(jid) {
+  if (!jid || !String(jid).endsWith('@c.us')) return null;
+  return suppressions.get(jid.split('@')[0]);
+}
+
+/**
+ * Log a send refused by the suppression list (log type message_suppressed, not an error)
+ * and build the error given to the caller; the queue drops the job (status suppressed).
+ */
+function suppressedError(jid, entry, meta = {}) {
+  const phone = jid.split('@')[0];
+  const { source, endpoint, session, taskId, taskIds, rule } = meta;
+  console.log(`[suppression] send to ${phone} skipped (${entry.reason}) source=${source || '-'}`);
+  logReminder({
+    type: 'message_suppressed',
+    date: new Date().toISOString().split('T')[0],
+    request: { tel: phone, jid, source, endpoint, session, taskId, taskIds, rule },
+    response: { suppressed: true, reason: entry.reason, since: entry.createdAt }
+  });
+  return Object.assign(new Error('recipient_suppressed'), { code: 'recipient_suppressed', phone, reason: entry.reason, skip: true });
+}
+
+function notOnWhatsAppError(phone) {
+  // Not retried by the queue: the number will not get an account within the backoff
+  return Object.assign(new Error('number_not_on_whatsapp'), { code: 'number_not_on_whatsapp', phone, retryable: false });
+}
+
+/**
+ * Look up a number (digits, international format) through a session, cached.
+ * `exists` is null when it cannot be checked now (session not connected, lookup error).
+ */
+async function checkWaNumber(session, phone, { refresh = false } = {}) {
+  const cached = refresh ? null : numberCache.get(phone);
+  if (cached) return { ...cached, cached: true };
+  if (!session.isReady()) return { phone, exists: null, jid: null, cached: false };
+  try {
+    return await numberCache.check(phone, async (digits) => (await session.client.getNumberId(digits))?._serialized || null, { refresh });
+  } catch (e) {
+    console.warn(`[numbers] lookup of ${phone} failed: ${e?.message || e}`);
+    return { phone, exists: null, jid: null, cached: false, error: 'lookup_failed' };
   }
+}
+
+// Throws number_not_on_whatsapp for a phone JID known not to be on WhatsApp (groups are not checked)
+async function assertOnWhatsApp(session, jid) {
+  if (!jid.endsWith('@c.us')) return;
+  const phone = jid.split('@')[0];
+  const { exists } = await checkWaNumber(session, phone);
+  if (exists === false) throw notOnWhatsAppError(phone);
+}
+
+/**
+ * JID of an API recipient: the one WhatsApp resolved, or the normalized number while it
+ * cannot be checked (the queue checks again before sending).
+ * @throws {Error} code number_not_on_whatsapp
+ */
+async function resolveRecipient(session, phone) {
+  const digits = normalizePhone(phone);
+  const { exists, jid } = await checkWaNumber(session, digits);
+  if (exists === false) throw notOnWhatsAppError(digits);
+  return jid || `${digits}@c.us`;
+}
+
+/**
+ * Queue processor of a session: waits for its client, sends, records the message for receipts.
+ */
+async function processWaSend(session, { jid, text, media, caption }, meta = {}) {
+  // Suppressed after the job was queued (scheduled, offline...)
+  const suppressed = suppressionOf(jid);
+  if (suppressed) throw suppressedError(jid, suppressed, meta.meta);
+  // Wait for client to be ready (instead of failing immediately if queue loads before content)
+  while (!session.isReady()) {
+    await new Promise(r => setTimeout(r, 2000));
+  }
+  // Numbers queued while offline (scheduled, async, bulk) are checked here
+  await assertOnWhatsApp(session, jid);
+  const options = { sendSeen: WA_SEND_SEEN };
+  if (media && caption) options.caption = caption;
+  const msg = await session.client.sendMessage(jid, media ? mediaStore.load(media) : text, options);
+  const { source, endpoint, taskId, taskIds } = meta.meta || {};
+  messageStatus.recordSent(msg, { jid, source, endpoint, taskId, taskIds, session: session.name });
+  if (media) mediaStore.release(media);
+  return msg;
+}
+
+// WhatsApp accounts: WA_SESSIONS=hr,projects or sessions.json ({ sessions, routes }), a single one by default.
+// The first session is the default one and keeps the original client id and queue files.
+const WA_SESSIONS_FILE = path.resolve(__dirname, process.env.WA_SESSIONS_FILE || 'sessions.json');
+const sessionConfig = loadSessionConfig({ file: WA_SESSIONS_FILE, names: process.env.WA_SESSIONS, logger: console });
+const waSessions = new Map();
+sessionConfig.sessions.forEach(({ name, clientId }, index) => {
+  const isDefault = index === 0;
+  const authClientId = clientId || (isDefault ? process.env.WWEBJS_CLIENT_ID : name) || null;
+  waSessions.set(name, new WaSession({
+    name,
+    isDefault,
+    createClient: (_session, options) => createWaClient(authClientId, options),
+    authDir: path.join(WWEBJS_AUTH_DIR, authClientId ? `session-${authClientId}` : 'session'),
+    queueOptions: {
+      name: isDefault ? 'wa-send' : `wa-send:${name}`,
+      storageFile: isDefault ? QUEUE_FILE : path.join(__dirname, `.queue-persist.${name}.json`),
+      deadLetterFile: isDefault ? DEAD_LETTER_FILE : path.join(__dirname, `.queue-deadletter.${name}.json`),
+      maxAttempts: WA_MAX_ATTEMPTS,
+      retryBaseMs: WA_RETRY_BASE_MS,
+      retryMaxMs: WA_RETRY_MAX_MS,
+      lanes: WA_LANES,
+      defaultLane: WA_DEFAULT_LANE,
+      sendWindow: WA_SEND_WINDOW,
+      minIntervalMs: WA_MIN_INTERVAL_MS,
+      maxPerWindow: WA_RATE_MAX,
+      windowMs: WA_RATE_WINDOW_MS,
+      jitterMs: WA_JITTER_MS,
+      longPauseChance: WA_LONG_PAUSE_CHANCE,
+      longPauseMinMs: WA_LONG_PAUSE_MIN_MS,
+      longPauseMaxMs: WA_LONG_PAUSE_MAX_MS,
+    },
+    processor: processWaSend,
+    logger: console,
+  }));
 });
+const waSessionList = [...waSessions.values()];
+const defaultSession = waSessionList[0];
+if (waSessionList.length > 1) {
+  console.log(`[config] WhatsApp sessions: ${waSessionList.map((s) => s.name).join(', ')} (default=${defaultSession.name}), ${sessionConfig.routes.length} route(s)`);
+}
+
+// First truthy result of `fn` over the session queues (job ids are unique across queues)
+function findInQueues(fn) {
+  for (const { queue } of waSessionList) {
+    const result = fn(queue);
+    if (result) return result;
+  }
+  return null;
+}
+
+/**
+ * Session of a send: explicit meta.session, else the first matching route, else the default session.
+ */
+function pickSession(meta = {}) {
+  return waSessions.get(meta.session || routeSession(sessionConfig.routes, meta)) || defaultSession;
+}
+
+/**
+ * Validate the optional `session` field.
+ * @returns {{ session: string|null, error?: string }}
+ */
+function parseSession(value) {
+  if (value === undefined || value === null || value === '') return { session: null };
+  const session = String(value).trim();
+  if (!waSessions.has(session)) return { session: null, error: 'unknown_session' };
+  return { session };
+}
 
-async function enqueueWaSend(jid, text, meta = {}) {
-  // Pass data object { jid, text } to be persisted
-  return waSendQueue.enqueue({ jid, text }, { jid, meta });
+// Job status for async callers (GET /jobs/:id); survives restarts with the queue file
+const jobStore = new JobStore({
+  storageFile: path.join(__dirname, '.jobs.json'),
+  ttlMs: process.env.JOB_TTL_MS ? Number(process.env.JOB_TTL_MS) : 7 * 24 * 60 * 60 * 1000,
+  logger: console,
+});
+waSessionList.forEach((session) => jobStore.track(session.queue));
+
+// Signed outbound webhooks (message.queued/sent/failed/delivered/read, session.*)
+const webhooks = new WebhookDispatcher({
+  name: 'webhooks',
+  urls: (process.env.WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean),
+  secret: process.env.WEBHOOK_SECRET || null,
+  events: (process.env.WEBHOOK_EVENTS || '').split(',').map(e => e.trim()).filter(Boolean),
+  storageFile: path.join(__dirname, '.webhook-outbox.json'),
+  maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS ? Number(process.env.WEBHOOK_MAX_ATTEMPTS) : 8,
+  logger: console,
+});
+if (webhooks.enabled && !webhooks.secret) {
+  console.warn('[webhooks] WEBHOOK_SECRET is empty; deliveries are not signed');
+}
+
+function webhookMessageData(item, extra = {}) {
+  const meta = item.meta?.meta || {};
+  const jid = item.meta?.jid || item.data?.jid || null;
+  return {
+    jobId: item.id,
+    jid,
+    phone: jid ? jid.split('@')[0] : null,
+    session: meta.session || null,
+    source: meta.source || null,
+    endpoint: meta.endpoint || null,
+    taskId: meta.taskId || null,
+    taskIds: meta.taskIds || undefined,
+    batchId: meta.batchId || null,
+    priority: item.lane || null,
+    attempts: item.attempts,
+    ...extra
+  };
+}
+
+waSessionList.forEach(({ queue }) => {
+  queue.on('enqueued', (item) => {
+    webhooks.emit('message.queued', webhookMessageData(item, {
+      sendAt: item.sendAt ? new Date(item.sendAt).toISOString() : null
+    }));
+  });
+  queue.on('sent', (item, msg) => {
+    webhooks.emit('message.sent', webhookMessageData(item, { messageId: msg?.id?._serialized || null }));
+  });
+  queue.on('failed', (item, err) => {
+    webhooks.emit('message.failed', webhookMessageData(item, { error: err?.message || String(err) }));
+  });
+  // Dead-lettered media stays spooled so it can be requeued; cancelled or skipped media is dropped
+  queue.on('cancelled', (item) => mediaStore.release(item.data?.media));
+  queue.on('skipped', (item) => mediaStore.release(item.data?.media));
+});
+
+// Inbound messages (replies to reminders...) stored locally and forwarded to sirh-back
+const inbox = new InboxStore({
+  storageFile: path.join(__dirname, '.inbox.json'),
+  maxEntries: process.env.INBOX_MAX ? Number(process.env.INBOX_MAX) : 10000,
+  tz: process.env.REMINDER_TZ || 'Africa/Casablanca',
+  logger: console,
+});
+
+const inboundForwarder = new WebhookDispatcher({
+  name: 'inbound-forward',
+  urls: process.env.INBOUND_FORWARD_URL ? [process.env.INBOUND_FORWARD_URL] : [],
+  secret: process.env.INBOUND_FORWARD_SECRET || process.env.WEBHOOK_SECRET || null,
+  headers: process.env.INBOUND_FORWARD_API_KEY ? { 'X-Api-Key': process.env.INBOUND_FORWARD_API_KEY } : {},
+  storageFile: path.join(__dirname, '.inbound-outbox.json'),
+  logger: console,
+});
+
+// Idempotency keys (Idempotency-Key header / idempotencyKey field, reminder task+date)
+const idempotencyStore = new IdempotencyStore({
+  storageFile: path.join(__dirname, '.idempotency.json'),
+  ttlMs: process.env.IDEMPOTENCY_TTL_MS ? Number(process.env.IDEMPOTENCY_TTL_MS) : 24 * 60 * 60 * 1000,
+  logger: console,
+});
+
+// Local message templates (templates/<key>.txt), tried before the Laravel render API
+const templateStore = new TemplateStore({
+  dir: process.env.TEMPLATES_DIR ? path.resolve(__dirname, process.env.TEMPLATES_DIR) : path.join(__dirname, 'templates'),
+  logger: console,
+});
+
+// Bulk campaigns (POST /send-bulk) and the jobs of each recipient
+const BULK_MAX_RECIPIENTS = process.env.BULK_MAX_RECIPIENTS ? Number(process.env.BULK_MAX_RECIPIENTS) : 1000;
+// Recipients rendered at the same time (one Laravel call each for API templates)
+const BULK_RENDER_CONCURRENCY = Math.max(1, Number(process.env.BULK_RENDER_CONCURRENCY) || 5);
+const batchStore = new BatchStore({
+  storageFile: path.join(__dirname, '.batches.json'),
+  logger: console,
+});
+
+// Result handed to callers of a duplicate send: same shape as a Message for `id`
+function duplicateResult(msg) {
+  return { id: msg?.id || null, duplicate: true };
+}
+
+/**
+ * Enqueue a send and return its job id along with the send promise.
+ * `content` is the text, or { media, caption } with a MediaStore reference.
+ * The lane comes from meta.priority (request field or reminder meta),
+ * meta.bypassWindow lets urgent traffic ignore the sending window.
+ * With meta.idempotencyKey, a repeat within IDEMPOTENCY_TTL_MS returns the
+ * original job (duplicate=true) unless that job failed or was cancelled.
+ * The session comes from meta.session or the session routes (see pickSession).
+ * @param {Object} [options]
+ * @param {number} [options.sendAt] - epoch ms, hold the message until then
+ * @returns {{ jobId: string, promise: Promise, duplicate: boolean }}
+ * @throws {Error} recipient_suppressed (already logged) for a number of the suppression list
+ */
+function submitWaSend(jid, content, meta = {}, { sendAt = null } = {}) {
+  const suppressed = suppressionOf(jid);
+  if (suppressed) {
+    // Nothing gets queued: the media spooled for this call is not needed
+    if (content?.media) mediaStore.release(content.media);
+    throw suppressedError(jid, suppressed, meta);
+  }
+
+  const key = meta.idempotencyKey || null;
+  if (key) {
+    const existing = idempotencyStore.get(key);
+    if (existing) {
+      const pending = findInQueues((queue) => queue.waitFor(existing.jobId));
+      if (pending) {
+        return { jobId: existing.jobId, promise: pending.then(duplicateResult), duplicate: true };
+      }
+      const job = jobStore.get(existing.jobId);
+      if (job?.status === 'sent') {
+        const msg = { id: { _serialized: job.messageId } };
+        return { jobId: existing.jobId, promise: Promise.resolve(duplicateResult(msg)), duplicate: true };
+      }
+      // Original job failed, was cancelled or is unknown: send again under the same key
+    }
+  }
+
+  // Pass data object { jid, text } or { jid, media, caption } to be persisted
+  const data = typeof content === 'string' ? { jid, text: content } : { jid, ...content };
+  const session = pickSession(meta);
+  meta = { ...meta, session: session.name };
+  const { id, promise } = session.queue.enqueueJob(data, { jid, meta }, {
+    sendAt,
+    lane: meta.priority,
+    bypassWindow: meta.bypassWindow === true,
+  });
+  if (key) idempotencyStore.set(key, id);
+  return { jobId: id, promise, duplicate: false };
+}
+
+async function enqueueWaSend(jid, content, meta = {}) {
+  return submitWaSend(jid, content, meta).promise;
 }
 
 // CORS (allow calls from frontend)
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Idempotency-Key');
+  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
 
 // Servir les fichiers statiques
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json({ limit: '1mb' }));
+// /send-media carries base64 files and has its own (larger) body limit
+const jsonBody = express.json({ limit: '1mb' });
+app.use((req, res, next) => (req.path === '/send-media' ? next() : jsonBody(req, res, next)));
+
+/**
+ * Socket.IO and webhook side of a session's events. The default session keeps the
+ * original events (qr, ready...); every session also emits session_event { session, event, data }.
+ */
+function bindSessionEvents(session) {
+  const emit = (event, ...args) => {
+    if (session.isDefault) io.emit(event, ...args);
+    io.emit('session_event', { session: session.name, event, data: args[0] ?? null });
+  };
+
+  session.on('qr', (qr) => {
+    try {
+      console.log(`Scanne ce QR (session ${session.name}) avec WhatsApp > Appareils liés (Linked devices):`);
+      qrcodeTerminal.generate(qr, { small: true });
+    } catch (e) {
+      console.warn('Impossible d\'afficher le QR en ASCII:', e?.message);
+    }
+    emit('qr', qr);
+  });
+  session.on('code', (code) => emit('code', code));
+  session.on('restarting', (action) => emit('restarting', action));
+  session.on('ready', () => emit('ready'));
+  session.on('authenticated', () => emit('authenticated'));
+  session.on('auth_failure', (msg) => {
+    emit('auth_failure', msg);
+    webhooks.emit('session.auth_failure', { session: session.name, message: msg || null });
+  });
+  session.on('disconnected', (reason) => {
+    emit('disconnected', reason);
+    webhooks.emit('session.disconnected', { session: session.name, reason: reason || null });
+  });
+  session.on('message_ack', handleMessageAck);
+  session.on('message', (msg) => handleInboundMessage(session, msg));
+}
 
-client.on('qr', (qr) => {
-  console.log('QR Code généré');
-  isClientReady = false;
-  lastQr = qr;
-  try {
-    console.log('Scanne ce QR avec WhatsApp > Appareils liés (Linked devices):');
-    qrcodeTerminal.generate(qr, { small: true });
-  } catch (e) {
-    console.warn('Impossible d\'afficher le QR en ASCII:', e?.message);
+function handleMessageAck(msg, ack) {
+  const previous = messageStatus.get(msg?.id?._serialized)?.status || null;
+  const entry = messageStatus.recordAck(msg, ack);
+  if (!entry || entry.status === previous) return;
+  if (entry.status === 'delivered' || entry.status === 'read') {
+    webhooks.emit(`message.${entry.status}`, {
+      messageId: entry.id,
+      jid: entry.jid,
+      phone: entry.jid ? entry.jid.split('@')[0] : null,
+      session: entry.meta?.session || null,
+      source: entry.meta?.source || null,
+      taskId: entry.meta?.taskId || null,
+      taskIds: entry.meta?.taskIds || undefined,
+      at: entry.updatedAt
+    });
   }
-  io.emit('qr', qr);
-});
+}
 
-client.on('ready', () => {
-  console.log('Client prêt ✅');
-  isClientReady = true;
-  lastState = 'CONNECTED';
-  lastReadyAt = Date.now();
-  io.emit('ready');
-});
+async function handleInboundMessage(session, msg) {
+  try {
+    if (!msg || msg.fromMe || msg.isStatus || msg.from === 'status@broadcast') return;
 
-client.on('authenticated', () => {
-  console.log('Authentifié ✅');
-  io.emit('authenticated');
-});
+    let quotedMessageId = null;
+    if (msg.hasQuotedMsg) {
+      try {
+        const quoted = await msg.getQuotedMessage();
+        quotedMessageId = quoted?.id?._serialized || null;
+      } catch (_) {}
+    }
 
-client.on('auth_failure', (msg) => {
-  console.error('Erreur d\'authentification :', msg);
-  isClientReady = false;
-  lastState = 'AUTH_FAILURE';
-  io.emit('auth_failure', msg);
-  scheduleReinit(5000);
-});
+    // Newer WhatsApp ids (@lid) do not carry the phone number: ask the contact
+    const sender = msg.author || msg.from;
+    let phone = sender.endsWith('@c.us') ? sender.split('@')[0] : null;
+    try {
+      const contact = await msg.getContact();
+      if (contact?.number) phone = contact.number;
+    } catch (_) {}
+
+    // Reply to one of our messages (e.g. a reminder): keep what it was about
+    const quotedStatus = quotedMessageId ? messageStatus.get(quotedMessageId) : null;
+
+    const entry = inbox.add({
+      id: msg.id?._serialized,
+      session: session.name,
+      chatId: msg.from,
+      from: sender,
+      phone,
+      body: msg.body || '',
+      type: msg.type,
+      hasMedia: !!msg.hasMedia,
+      isGroup: msg.from.endsWith('@g.us'),
+      timestamp: DateTime.fromSeconds(msg.timestamp || Math.floor(Date.now() / 1000)).setZone(REMINDER_TZ).toISO(),
+      quotedMessageId,
+      inReplyTo: quotedStatus
+        ? { source: quotedStatus.meta?.source || null, taskId: quotedStatus.meta?.taskId || null, taskIds: quotedStatus.meta?.taskIds || undefined }
+        : null
+    });
+    if (!entry) return;
 
-client.on('disconnected', (reason) => {
-  console.log('Déconnecté :', reason);
-  isClientReady = false;
-  lastState = 'DISCONNECTED';
-  io.emit('disconnected', reason);
-  scheduleReinit(3000);
-});
+    // "STOP" / "ARRET": the sender will not receive anything anymore
+    if (!entry.isGroup && phone && OPT_OUT_KEYWORDS.includes(normalizeKeyword(entry.body))) {
+      const { created } = suppressions.add(phone, { reason: 'opt_out', source: 'inbound', note: entry.body.trim() });
+      if (created) console.log(`[suppression] ${phone} opted out ("${entry.body.trim()}")`);
+    }
 
-client.on('change_state', (state) => {
-  lastState = state || lastState;
-});
+    io.emit('inbound_message', entry);
+    inboundForwarder.emit('message.received', entry);
+  } catch (e) {
+    console.error('[inbox] failed to handle inbound message', e);
+  }
+}
+
+waSessionList.forEach(bindSessionEvents);
 
 // Gérer les connexions Socket.IO
 io.on('connection', (socket) => {
   console.log('Nouveau client connecté');
 
   // Envoyer l'état actuel du client
-  if (isClientReady) {
+  if (defaultSession.isClientReady) {
     socket.emit('ready');
   }
+  waSessionList.forEach((session) => {
+    if (session.isClientReady) socket.emit('session_event', { session: session.name, event: 'ready', data: null });
+  });
 
-  socket.on('send_message', async ({ phoneNumber, message }) => {
+  socket.on('send_message', async ({ phoneNumber, message, session: requestedSession }) => {
     try {
+      const { session: sessionName, error: sessionError } = parseSession(requestedSession);
+      if (sessionError) {
+        socket.emit('message_error', `Session WhatsApp inconnue: ${requestedSession}`);
+        return;
+      }
+      const waSession = pickSession({ session: sessionName, source: 'socket_io' });
+
       // Vérifier que le client est prêt
-      if (!isClientReady) {
+      if (!waSession.isClientReady) {
         socket.emit('message_error', 'Le client WhatsApp n\'est pas encore prêt. Veuillez scanner le QR code.');
         return;
       }
 
-      const chatId = normalizeToJid(phoneNumber);
-      
-      // Vérifier que le numéro est valide
-      const numberId = await client.getNumberId(chatId.replace('@c.us',''));
-      if (!numberId) {
+      // Vérifier que le numéro est valide (cache partagé avec l'API)
+      let chatId;
+      try {
+        chatId = await resolveRecipient(waSession, phoneNumber);
+      } catch (e) {
+        if (e?.code === 'invalid_phone') {
+          socket.emit('message_error', `Numéro invalide (${e.validation.reason})`);
+          return;
+        }
+        if (e?.code !== 'number_not_on_whatsapp') throw e;
         socket.emit('message_error', 'Numéro WhatsApp invalide ou non enregistré');
         return;
       }
 
-      await enqueueWaSend(chatId, message, { source: 'socket_io' });
+      await enqueueWaSend(chatId, message, { source: 'socket_io', session: waSession.name });
       console.log('Message envoyé à', phoneNumber);
       socket.emit('message_success', { phoneNumber });
     } catch (err) {
+      if (err?.code === 'recipient_suppressed') {
+        socket.emit('message_error', `Ce numéro ne reçoit plus de messages (${err.reason})`);
+        return;
+      }
       console.error('Erreur envoi message ❌', err);
       socket.emit('message_error', err.message || 'Erreur lors de l\'envoi du message');
     }
@@ -266,35 +703,36 @@ io.on('connection', (socket) => {
 });
 
 // Helpers
-function normalizeDigits(p) {
-  return (p || '').toString().replace(/\D+/g, '');
+// Country of local numbers ("0661888772"): PHONE_DEFAULT_COUNTRY=MA, or the calling code of DEFAULT_CC
+const PHONE_DEFAULT_COUNTRY = phoneLib.resolveCountry(process.env.PHONE_DEFAULT_COUNTRY || process.env.DEFAULT_CC || 'MA');
+if (!PHONE_DEFAULT_COUNTRY) {
+  console.warn(`[config] Unknown PHONE_DEFAULT_COUNTRY/DEFAULT_CC "${process.env.PHONE_DEFAULT_COUNTRY || process.env.DEFAULT_CC}", using MA`);
 }
+const PHONE_OPTIONS = { defaultCountry: PHONE_DEFAULT_COUNTRY || 'MA' };
 
+// International digits; throws invalid_phone (e.validation) for numbers that cannot be right
 function normalizePhone(phone) {
-  let p = normalizeDigits(phone);
-  if (!p) return p;
-  // If starts with 0 and DEFAULT_CC is provided, use it (e.g. 212)
-  if (p.startsWith('0') && process.env.DEFAULT_CC) {
-    p = process.env.DEFAULT_CC.replace(/\D+/g, '') + p.slice(1);
-  }
-  // If no country code, default to 212 if provided via env or fallback to 212
-  if (!p.startsWith('212') && process.env.DEFAULT_CC) {
-    const cc = process.env.DEFAULT_CC.replace(/\D+/g, '');
-    if (cc && !p.startsWith(cc)) p = cc + p;
-  }
-  return p;
+  return phoneLib.normalizePhone(phone, PHONE_OPTIONS);
 }
 
 function normalizeToJid(phone) {
-  const digits = normalizePhone(phone);
-  return `${digits}@c.us`;
+  return phoneLib.phoneToJid(phone, PHONE_OPTIONS);
+}
+
+function parsePhone(phone) {
+  return phoneLib.parsePhone(phone, PHONE_OPTIONS);
+}
+
+function phoneKey(phone) {
+  return phoneLib.phoneKey(phone, PHONE_OPTIONS);
 }
 
 // Daily reminders
-const REMINDER_TZ =  'Africa/Casablanca';
+const REMINDER_TZ = process.env.REMINDER_TZ || 'Africa/Casablanca';
 
 // Reminder time (HH:mm, 24h). Example: '15:57'
-// Lecture depuis .env (REMINDER_AT), sinon par défaut 16:00
+// Lecture depuis .env (REMINDER_AT), sinon par défaut 08:00
+const REMINDER_AT = process.env.REMINDER_AT || null;
 
 // Debug: Log effective configuration
 console.log('[config] REMINDER_AT:', REMINDER_AT);
@@ -324,69 +762,260 @@ const REMINDER_ONLY_ENVOYER_AUTO = (process.env.REMINDER_ONLY_ENVOYER_AUTO || 't
 const REMINDER_SEND_DELAY_MS = process.env.REMINDER_SEND_DELAY_MS ? Number(process.env.REMINDER_SEND_DELAY_MS) : 600;
 const REMINDER_API_BASE = process.env.REMINDER_API_BASE || null; // e.g. https://example.com/api
 const REMINDER_API_KEY = process.env.REMINDER_API_KEY || process.env.TEMPLATE_API_KEY || null;
+// Queue lane used by reminder runs (bulk by default so one-off API sends are not stuck behind them)
+const REMINDER_PRIORITY = process.env.REMINDER_PRIORITY || 'bulk';
+// Reminder language: users column (db source) or `locale` field (api source), else the default
+const REMINDER_DEFAULT_LOCALE = process.env.REMINDER_DEFAULT_LOCALE || 'fr';
+let REMINDER_LOCALE_COLUMN = (process.env.REMINDER_LOCALE_COLUMN || '').trim() || null;
+if (REMINDER_LOCALE_COLUMN && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(REMINDER_LOCALE_COLUMN)) {
+  console.warn(`[config] REMINDER_LOCALE_COLUMN "${REMINDER_LOCALE_COLUMN}" is not a valid column name; ignored`);
+  REMINDER_LOCALE_COLUMN = null;
+}
 
-function isWaConnected() {
-  return lastState === 'CONNECTED' || lastGetState === 'CONNECTED';
+// 'task' = one message per task, 'digest' = one message per employee (split above REMINDER_DIGEST_MAX_CHARS)
+const REMINDER_MODE = (process.env.REMINDER_MODE || 'task').toLowerCase() === 'digest' ? 'digest' : 'task';
+const REMINDER_DIGEST_MAX_CHARS = process.env.REMINDER_DIGEST_MAX_CHARS ? Number(process.env.REMINDER_DIGEST_MAX_CHARS) : 3500;
+
+// Owner of a task for the "owner" recipients of a rule (db source): users id columns
+// of todo_lists / projects, the list owner first
+const REMINDER_OWNER_COLUMNS = {};
+[['list', 'REMINDER_OWNER_LIST_COLUMN'], ['project', 'REMINDER_OWNER_PROJECT_COLUMN']].forEach(([key, name]) => {
+  const value = (process.env[name] || '').trim();
+  if (!value) return;
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(value)) {
+    console.warn(`[config] ${name} "${value}" is not a valid column name; ignored`);
+    return;
+  }
+  REMINDER_OWNER_COLUMNS[key] = value;
+});
+
+function isValidTimezone(tz) {
+  return !!tz && DateTime.now().setZone(String(tz)).isValid;
+}
+
+// Runtime schedule (GET/PUT /api/reminders/schedule); source is REMINDER_SOURCE
+if (savedReminderSchedule.cron && !cron.validate(savedReminderSchedule.cron)) {
+  console.warn(`[config] Saved reminder cron "${savedReminderSchedule.cron}" is invalid; ignored`);
+  delete savedReminderSchedule.cron;
+}
+if (savedReminderSchedule.tz && !isValidTimezone(savedReminderSchedule.tz)) {
+  console.warn(`[config] Saved reminder timezone "${savedReminderSchedule.tz}" is invalid; ignored`);
+  delete savedReminderSchedule.tz;
+}
+const reminderSchedule = {
+  cron: savedReminderSchedule.cron || REMINDER_CRON,
+  tz: savedReminderSchedule.tz || REMINDER_TZ,
+  onlyEnvoyerAuto: typeof savedReminderSchedule.onlyEnvoyerAuto === 'boolean'
+    ? savedReminderSchedule.onlyEnvoyerAuto
+    : REMINDER_ONLY_ENVOYER_AUTO,
+  updatedAt: savedReminderSchedule.updatedAt || null,
+};
+if (savedReminderSchedule.updatedAt) {
+  console.log(`[config] Reminder schedule from ${path.basename(REMINDER_SCHEDULE_FILE)}: cron="${reminderSchedule.cron}" tz="${reminderSchedule.tz}" source=${REMINDER_SOURCE}`);
 }
 
-if (REMINDER_SOURCE === 'api') {
-  if (!REMINDER_API_BASE) {
+function saveReminderSchedule() {
+  try {
+    writeJsonFile(REMINDER_SCHEDULE_FILE, { ...reminderSchedule, source: REMINDER_SOURCE }, { pretty: true });
+  } catch (e) {
+    console.error('[reminders] Failed to save schedule:', e);
+  }
+}
+
+// Reminder rules (active, due_soon, due_today, overdue), each with its cron, template and recipients.
+// Without reminder-rules.json: a single "active" rule on the schedule cron, as before.
+// Rules without their own cron follow the schedule; the file is re-read on every reschedule.
+const REMINDER_RULES_FILE = path.resolve(__dirname, process.env.REMINDER_RULES_FILE || 'reminder-rules.json');
+let REMINDER_RULES = [];
+
+function loadConfiguredReminderRules() {
+  REMINDER_RULES = loadReminderRules(REMINDER_RULES_FILE, {
+    cron: reminderSchedule.cron,
+    template: process.env.REMINDER_TEMPLATE || 'task_reminder',
+    onlyEnvoyerAuto: reminderSchedule.onlyEnvoyerAuto,
+  }, console);
+  // Sending a rule through another account than the one configured is worse than not sending it
+  REMINDER_RULES.filter((r) => r.session && !waSessions.has(r.session)).forEach((r) => {
+    console.warn(`[reminders] rule ${r.id} uses unknown session "${r.session}"; rule disabled`);
+    r.enabled = false;
+  });
+  console.log(`[config] Reminder rules: ${REMINDER_RULES.map((r) => `${r.id}${r.enabled ? '' : ' (disabled)'}`).join(', ') || 'none'}`);
+}
+loadConfiguredReminderRules();
+if (REMINDER_SOURCE !== 'api'
+  && REMINDER_RULES.some((r) => r.enabled && r.recipients.includes('owner'))
+  && !Object.keys(REMINDER_OWNER_COLUMNS).length) {
+  console.warn('[config] Reminder rules with owner recipients need REMINDER_OWNER_LIST_COLUMN or REMINDER_OWNER_PROJECT_COLUMN');
+}
+
+// Write back "reminder sent" once the queue has sent it (accepted by WhatsApp, not yet delivered), so the task is not reminded again:
+// db source => UPDATE todo_tasks SET envoyer_auto = 1, api source => POST REMINDER_API_BASE + REMINDER_ACK_PATH
+const REMINDER_ACK_DB = (process.env.REMINDER_ACK_DB || 'true').toLowerCase() !== 'false';
+const REMINDER_ACK_API = (process.env.REMINDER_ACK_API || 'true').toLowerCase() !== 'false';
+const reminderAckHandlers = {};
+
+function registerDbAckHandler() {
+  if (!REMINDER_ACK_DB || !dbPool || reminderAckHandlers.db) return;
+  try {
+    reminderAckHandlers.db = createDbAckHandler(dbPool, { column: process.env.REMINDER_ACK_COLUMN || 'envoyer_auto' });
+  } catch (e) {
+    console.warn(`[reminder-ack] ${e.message}; db write-back disabled`);
+  }
+}
+registerDbAckHandler();
+if (REMINDER_ACK_API && REMINDER_API_BASE) {
+  reminderAckHandlers.api = createApiAckHandler({
+    apiBase: REMINDER_API_BASE,
+    apiKey: REMINDER_API_KEY,
+    path: process.env.REMINDER_ACK_PATH || '/reminders/ack',
+  });
+}
+const reminderAck = new ReminderAckOutbox({
+  handlers: reminderAckHandlers,
+  storageFile: path.join(__dirname, '.reminder-ack-outbox.json'),
+  maxAttempts: process.env.REMINDER_ACK_MAX_ATTEMPTS ? Number(process.env.REMINDER_ACK_MAX_ATTEMPTS) : 10,
+  logger: console,
+});
+
+waSessionList.forEach(({ queue }) => queue.on('sent', (item, msg) => {
+  const meta = item.meta?.meta || {};
+  if (meta.source !== 'db' && meta.source !== 'api') return;
+  // envoyer_auto only tracks the daily (active) reminder; sirh-back gets every rule
+  if (meta.source === 'db' && meta.ruleType && meta.ruleType !== 'active') return;
+  reminderAck.add({
+    source: meta.source,
+    rule: meta.rule || null,
+    taskIds: meta.taskIds || (meta.taskId ? [meta.taskId] : []),
+    messageIds: [msg?.id?._serialized].filter(Boolean),
+    jid: item.meta?.jid || item.data?.jid || null,
+    date: meta.today || null,
+    sentAt: new Date().toISOString(),
+  });
+}));
+
+// Per-day ledger of reminded tasks (taskId|recipient|date), checked before enqueueing
+const reminderLedger = new ReminderLedger({
+  storageFile: path.join(__dirname, '.reminder-ledger.json'),
+  retentionDays: process.env.REMINDER_LEDGER_DAYS ? Number(process.env.REMINDER_LEDGER_DAYS) : 7,
+  logger: console,
+});
+
+/**
+ * Run one reminder rule from the configured source (cron and /api/send-reminder-test).
+ * A rule with a `session` sends through that account, the others follow the session routes
+ * (e.g. per project) and only need one connected session to start.
+ */
+async function runConfiguredReminders({ rule = REMINDER_RULES[0], ...overrides } = {}) {
+  const ruleSession = rule.session ? waSessions.get(rule.session) : null;
+  const options = {
+    client: (ruleSession || defaultSession).client,
+    normalizeToJid,
+    isWaConnected: () => (ruleSession ? ruleSession.isConnected() : waSessionList.some((s) => s.isConnected())),
+    tz: reminderSchedule.tz,
+    rule,
+    onlyEnvoyerAuto: rule.onlyEnvoyerAuto,
+    sendMessage: async (jid, text, meta) => {
+      const sendMeta = ruleSession ? { ...meta, session: ruleSession.name } : meta;
+      await assertOnWhatsApp(pickSession(sendMeta), jid);
+      return enqueueWaSend(jid, text, sendMeta);
+    },
+    sendDelayMs: 0,
+    priority: rule.priority || REMINDER_PRIORITY,
+    templates: templateStore,
+    defaultLocale: REMINDER_DEFAULT_LOCALE,
+    mode: rule.mode || REMINDER_MODE,
+    digestMaxChars: REMINDER_DIGEST_MAX_CHARS,
+    ledger: reminderLedger,
+    logger: console,
+    ...overrides,
+  };
+  if (REMINDER_SOURCE === 'api') {
+    return runDailyTaskRemindersViaApi({ ...options, apiBase: REMINDER_API_BASE, apiKey: REMINDER_API_KEY });
+  }
+  return runDailyTaskReminders({ ...options, pool: dbPool, localeColumn: REMINDER_LOCALE_COLUMN, ownerColumns: REMINDER_OWNER_COLUMNS });
+}
+
+let reminderJobs = [];
+
+/**
+ * (Re)create one cron job per enabled rule; called at startup and by PUT /api/reminders/schedule.
+ */
+function scheduleReminderRules() {
+  reminderJobs.forEach((job) => job.stop());
+  reminderJobs = [];
+
+  if (REMINDER_SOURCE === 'api' && !REMINDER_API_BASE) {
     console.warn('[reminders] REMINDER_SOURCE=api but REMINDER_API_BASE is missing; reminders disabled');
-  } else {
-    if (!REMINDER_API_KEY) {
-      console.warn('[reminders] REMINDER_SOURCE=api but REMINDER_API_KEY is missing; backend may return 401');
-    } else {
-      console.log(`[reminders] api auth configured (keyLen=${String(REMINDER_API_KEY).length})`);
-    }
-    cron.schedule(
-      REMINDER_CRON,
+    return;
+  }
+  if (REMINDER_SOURCE !== 'api' && !dbPool) {
+    console.warn('[reminders] REMINDER_SOURCE=db but MySQL is not configured; reminders disabled');
+    return;
+  }
+
+  REMINDER_RULES.filter((rule) => rule.enabled).forEach((rule) => {
+    const job = cron.schedule(
+      rule.cron,
       async () => {
         try {
-          const result = await runDailyTaskRemindersViaApi({
-            client,
-            apiBase: REMINDER_API_BASE,
-            apiKey: REMINDER_API_KEY,
-            normalizeToJid,
-            isWaConnected,
-            tz: REMINDER_TZ,
-            onlyEnvoyerAuto: REMINDER_ONLY_ENVOYER_AUTO,
-            sendMessage: enqueueWaSend,
-            sendDelayMs: 0,
-            logger: console,
-          });
-          console.log('[reminders] done', result);
+          const result = await runConfiguredReminders({ rule });
+          console.log(`[reminders] ${rule.id} done`, result);
         } catch (e) {
-          console.error('[reminders] job error', e);
+          console.error(`[reminders] ${rule.id} job error`, e);
         }
       },
-      { timezone: REMINDER_TZ }
+      { timezone: reminderSchedule.tz }
     );
-    console.log(`[reminders] scheduled cron="${REMINDER_CRON}" tz="${REMINDER_TZ}" source=api onlyEnvoyerAuto=${REMINDER_ONLY_ENVOYER_AUTO}`);
+    reminderJobs.push(job);
+    console.log(
+      `[reminders] scheduled rule=${rule.id} type=${rule.type} cron="${rule.cron}" tz="${reminderSchedule.tz}" source=${REMINDER_SOURCE} ` +
+        `mode=${rule.mode || REMINDER_MODE} recipients=${rule.recipients.join(',')} onlyEnvoyerAuto=${rule.onlyEnvoyerAuto}`
+    );
+  });
+}
+
+if (REMINDER_SOURCE === 'api' && REMINDER_API_BASE) {
+  if (!REMINDER_API_KEY) {
+    console.warn('[reminders] REMINDER_SOURCE=api but REMINDER_API_KEY is missing; backend may return 401');
+  } else {
+    console.log(`[reminders] api auth configured (keyLen=${String(REMINDER_API_KEY).length})`);
+  }
+}
+scheduleReminderRules();
+
+function safeNextRuns(expression, count) {
+  try {
+    return nextRuns(expression, { tz: reminderSchedule.tz, count });
+  } catch (e) {
+    console.warn(`[reminders] cannot compute next runs of "${expression}": ${e.message}`);
+    return [];
   }
-} else if (dbPool) {
-  cron.schedule(
-    REMINDER_CRON,
-    async () => {
-      try {
-        const result = await runDailyTaskReminders({
-          client,
-          pool: dbPool,
-          normalizeToJid,
-          isWaConnected,
-          tz: REMINDER_TZ,
-          onlyEnvoyerAuto: REMINDER_ONLY_ENVOYER_AUTO,
-          sendMessage: enqueueWaSend,
-          sendDelayMs: 0,
-          logger: console,
-        });
-        console.log('[reminders] done', result);
-      } catch (e) {
-        console.error('[reminders] job error', e);
-      }
-    },
-    { timezone: REMINDER_TZ }
-  );
-  console.log(`[reminders] scheduled cron="${REMINDER_CRON}" tz="${REMINDER_TZ}" source=db onlyEnvoyerAuto=${REMINDER_ONLY_ENVOYER_AUTO}`);
+}
+
+function describeReminderSchedule(count = 5) {
+  const rules = REMINDER_RULES.map((rule) => ({
+    id: rule.id,
+    type: rule.type,
+    cron: rule.cron,
+    enabled: rule.enabled,
+    session: rule.session,
+    nextRuns: rule.enabled ? safeNextRuns(rule.cron, count) : [],
+  }));
+  const upcoming = rules
+    .flatMap((rule) => rule.nextRuns.map((at) => ({ at, rule: rule.id, ts: DateTime.fromISO(at).toMillis() })))
+    .sort((a, b) => a.ts - b.ts)
+    .slice(0, count)
+    .map(({ at, rule }) => ({ at, rule }));
+  return {
+    cron: reminderSchedule.cron,
+    tz: reminderSchedule.tz,
+    source: REMINDER_SOURCE,
+    onlyEnvoyerAuto: reminderSchedule.onlyEnvoyerAuto,
+    updatedAt: reminderSchedule.updatedAt,
+    active: reminderJobs.length > 0,
+    nextRuns: upcoming,
+    rules,
+  };
 }
 
 // REST endpoints
@@ -394,126 +1023,805 @@ app.get('/health', (_req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Top-level fields describe the default session, `sessions` lists every account
 app.get('/status', async (_req, res) => {
-  let state = lastState;
-  const refreshed = await refreshClientState();
-  if (refreshed) state = refreshed;
+  await Promise.all(waSessionList.map((session) => session.refreshState()));
+  const { name, ready, state, lastState, sendQueue, pausedByWindow, hasQr, lastReadyAt, lastGetState, lastGetStateAt } = defaultSession.describe();
   res.json({
-    ready: isClientReady && (state === 'CONNECTED' || lastState === 'CONNECTED'),
+    ready,
     state,
     lastState,
-    sendQueue: waSendQueue.stats(),
-    hasQr: !!lastQr,
+    session: name,
+    sendQueue,
+    webhooks: webhooks.stats(),
+    inboundForward: inboundForwarder.stats(),
+    reminderAck: reminderAck.stats(),
+    logBackend: logBackend(),
+    pausedByWindow,
+    hasQr,
     lastReadyAt,
     lastGetState,
     lastGetStateAt,
+    sessions: waSessionList.map((session) => session.describe()),
     now: Date.now()
   });
 });
 
-app.get('/qr', (_req, res) => {
-  if (!lastQr) return res.status(404).json({ error: 'no_qr' });
-  res.json({ qr: lastQr });
+// Current QR of a session (?session=, default session otherwise), also as an image for public/pair.html
+function currentQr(req, res) {
+  const { session: sessionName, error } = parseSession(req.query.session);
+  if (error) {
+    res.status(404).json({ error });
+    return null;
+  }
+  const session = sessionName ? waSessions.get(sessionName) : defaultSession;
+  if (!session.lastQr) {
+    res.status(404).json({ error: 'no_qr', session: session.name, ready: session.isReady() });
+    return null;
+  }
+  res.set('Cache-Control', 'no-store');
+  return session;
+}
+
+app.get('/qr', (req, res) => {
+  const session = currentQr(req, res);
+  if (session) res.json({ qr: session.lastQr, session: session.name });
+});
+
+app.get('/qr.png', async (req, res) => {
+  const session = currentQr(req, res);
+  if (!session) return;
+  try {
+    res.type('png').send(await QRCode.toBuffer(session.lastQr, { type: 'png', width: 320, margin: 2 }));
+  } catch (e) {
+    res.status(500).json({ error: e?.message || 'qr_render_failed' });
+  }
+});
+
+app.get('/qr.svg', async (req, res) => {
+  const session = currentQr(req, res);
+  if (!session) return;
+  try {
+    res.type('svg').send(await QRCode.toString(session.lastQr, { type: 'svg', margin: 2 }));
+  } catch (e) {
+    res.status(500).json({ error: e?.message || 'qr_render_failed' });
+  }
+});
+
+// Session management (replaces reset-session.sh / fix-markedunread.sh, no process restart).
+// :name is a session name, "default" also designates the default session.
+function sessionFromParam(req, res) {
+  const session = waSessions.get(req.params.name) || (req.params.name === 'default' ? defaultSession : null);
+  if (!session) res.status(404).json({ ok: false, error: 'unknown_session', sessions: [...waSessions.keys()] });
+  return session;
+}
+
+function sessionActionError(res, session, e) {
+  if (e?.code === 'session_busy') return res.status(409).json({ ok: false, error: 'session_busy', session: session.name });
+  console.error(`[wa:${session.name}] session action failed`, e);
+  res.status(500).json({ ok: false, error: e?.message || 'unknown', session: session.name });
+}
+
+app.get('/api/sessions', requireApiKey, (_req, res) => {
+  res.json({ ok: true, sessions: waSessionList.map((session) => session.describe()) });
+});
+
+// Close and relaunch the browser, keeping the pairing
+app.post('/api/sessions/:name/restart', requireApiKey, async (req, res) => {
+  const session = sessionFromParam(req, res);
+  if (!session) return;
+  try {
+    await session.restart();
+    res.json({ ok: true, session: session.name, action: 'restart' });
+  } catch (e) {
+    sessionActionError(res, session, e);
+  }
+});
+
+// Unlink the device: a new QR is emitted over Socket.IO
+app.post('/api/sessions/:name/logout', requireApiKey, async (req, res) => {
+  const session = sessionFromParam(req, res);
+  if (!session) return;
+  try {
+    await session.logout();
+    res.json({ ok: true, session: session.name, action: 'logout' });
+  } catch (e) {
+    sessionActionError(res, session, e);
+  }
+});
+
+// Broken session ("markedUnread"...): move the auth folder to a backup, clear .wwebjs_cache, pair again
+app.post('/api/sessions/:name/reset', requireApiKey, async (req, res) => {
+  const session = sessionFromParam(req, res);
+  if (!session) return;
+  try {
+    const stamp = DateTime.now().toFormat('yyyyMMdd_HHmmss');
+    const { backup } = await session.reset({ backupRoot: `${WWEBJS_AUTH_DIR}_backup_${stamp}`, cacheDir: WWEBJS_CACHE_DIR });
+    res.json({ ok: true, session: session.name, action: 'reset', backup });
+  } catch (e) {
+    sessionActionError(res, session, e);
+  }
+});
+
+// Link with a phone number instead of the QR: the code is typed in WhatsApp > Linked devices
+app.post('/api/sessions/:name/pairing-code', requireApiKey, async (req, res) => {
+  const session = sessionFromParam(req, res);
+  if (!session) return;
+  if (!req.body?.phone) return res.status(400).json({ ok: false, error: 'phone_required' });
+  const parsed = parsePhone(req.body.phone);
+  if (!parsed.ok) return res.status(400).json(parsed);
+  const { phone } = parsed;
+  if (session.isReady()) return res.status(409).json({ ok: false, error: 'already_paired', session: session.name });
+  try {
+    const code = await session.requestPairingCode(phone);
+    res.json({ ok: true, session: session.name, phone, code });
+  } catch (e) {
+    if (e?.code === 'pairing_code_timeout') return res.status(504).json({ ok: false, error: e.code, session: session.name });
+    sessionActionError(res, session, e);
+  }
 });
 
+// Client asked not to wait for the send: ?async=true, { "async": true } or "Prefer: respond-async"
+function wantsAsync(req) {
+  if (String(req.query?.async || '').toLowerCase() === 'true') return true;
+  if (req.body?.async === true || String(req.body?.async).toLowerCase() === 'true') return true;
+  return /respond-async/i.test(req.get('prefer') || '');
+}
+
+/**
+ * Parse the optional `sendAt` field (ISO datetime, REMINDER_TZ unless it carries an offset).
+ * @returns {{ sendAt: number|null, error?: string }}
+ */
+function parseSendAt(value) {
+  if (value === undefined || value === null || value === '') return { sendAt: null };
+  const dt = DateTime.fromISO(String(value), { zone: REMINDER_TZ });
+  if (!dt.isValid) return { sendAt: null, error: 'invalid_sendAt' };
+  const ms = dt.toMillis();
+  // A time already passed is sent right away
+  return { sendAt: ms > Date.now() ? ms : null };
+}
+
+/**
+ * Validate the optional `priority` field against the configured lanes.
+ * @returns {{ priority: string, error?: string }}
+ */
+function parsePriority(value) {
+  if (value === undefined || value === null || value === '') return { priority: WA_DEFAULT_LANE };
+  const priority = String(value).trim().toLowerCase();
+  if (!defaultSession.queue.hasLane(priority)) return { priority: null, error: 'invalid_priority' };
+  return { priority };
+}
+
+function getIdempotencyKey(req) {
+  const key = req.get('idempotency-key') || req.body?.idempotencyKey;
+  return key ? String(key).trim().slice(0, 200) || null : null;
+}
+
+function parseBypassWindow(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+// 503 body of a sync send while the session is not connected
+function waNotReady(session, state) {
+  return { ok: false, error: 'wa_not_ready', session: session.name, state, lastState: session.lastState, isClientReady: session.isClientReady };
+}
+
+function logApiSendSuccess(request, jid, msg) {
+  logReminder({
+    type: 'reminder_success',
+    date: new Date().toISOString().split('T')[0],
+    request,
+    response: { success: true, jid, messageId: msg?.id?._serialized }
+  });
+}
+
+function logApiSendError(request, e) {
+  // Already logged as message_suppressed
+  if (e?.code === 'recipient_suppressed') return;
+  logReminder({
+    type: 'reminder_error',
+    date: new Date().toISOString().split('T')[0],
+    request,
+    response: { success: false, ...(e?.validation ? { validation: e.validation } : {}) },
+    error: e?.message || 'unknown'
+  });
+}
+
+/**
+ * Enqueue an API send. Sync mode waits for WhatsApp and answers 200 { id },
+ * async mode answers 202 { jobId } right away (poll GET /jobs/:id).
+ * A scheduled send (sendAt) is always async.
+ */
+async function respondWithSend(req, res, { jid, text, media = null, meta, logRequest, sendAt = null }) {
+  const { jobId, promise, duplicate } = submitWaSend(jid, media ? { media, caption: text } : text, meta, { sendAt });
+  // The original job already owns its media: drop the copy spooled for this call
+  if (duplicate && media) mediaStore.release(media);
+
+  // Same idempotency key as an earlier call: answer with the original job, never log it twice
+  if (duplicate) {
+    const job = jobStore.get(jobId);
+    if (sendAt || wantsAsync(req)) {
+      const status = job?.status || 'queued';
+      promise.catch(() => {});
+      return res.status(status === 'sent' ? 200 : 202).json({
+        ok: true,
+        jobId,
+        id: job?.messageId || undefined,
+        status,
+        duplicate: true
+      });
+    }
+    try {
+      const msg = await promise;
+      return res.json({ ok: true, id: msg.id?._serialized, jobId, duplicate: true });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || 'unknown', jobId, duplicate: true });
+    }
+  }
+
+  if (sendAt || wantsAsync(req)) {
+    promise
+      .then((msg) => logApiSendSuccess(logRequest, jid, msg))
+      .catch((e) => {
+        if (e?.code === 'job_cancelled') {
+          console.log(`${meta.endpoint} job ${jobId} cancelled`);
+          return;
+        }
+        if (e?.code === 'recipient_suppressed') {
+          console.log(`${meta.endpoint} job ${jobId} suppressed`);
+          return;
+        }
+        console.error(`${meta.endpoint} job ${jobId} failed`, e?.message || e);
+        logApiSendError(logRequest, e);
+      });
+    return res.status(202).json({
+      ok: true,
+      jobId,
+      status: sendAt ? 'scheduled' : 'queued',
+      sendAt: sendAt ? DateTime.fromMillis(sendAt).setZone(REMINDER_TZ).toISO() : null
+    });
+  }
+
+  const msg = await promise;
+  logApiSendSuccess(logRequest, jid, msg);
+  res.json({ ok: true, id: msg.id?._serialized, jobId });
+}
+
+// 400 for an invalid phone, 422 for a suppressed recipient or one without WhatsApp (checked before enqueueing or by the queue), 500 otherwise
+function respondSendError(res, e) {
+  if (e?.code === 'invalid_phone') return res.status(400).json({ ok: false, ...e.validation });
+  if (e?.code === 'number_not_on_whatsapp') return res.status(422).json({ ok: false, error: e.code, phone: e.phone });
+  if (e?.code === 'recipient_suppressed') return res.status(422).json({ ok: false, error: e.code, phone: e.phone, reason: e.reason });
+  res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+}
+
+async function renderTemplateViaApi(templateKey, params, locale = null) {
+  const apiBase = process.env.API_BASE || 'http://localhost';
+  const url = `${apiBase.replace(/\/$/, '')}/api/templates/render`;
+  const headers = { 'Content-Type': 'application/json' };
+  const apiKey = process.env.TEMPLATE_API_KEY;
+  if (apiKey) headers['X-Api-Key'] = apiKey;
+
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ key: templateKey, params: params || {}, locale: locale || undefined })
+  });
+  if (!resp.ok) {
+    const t = await resp.text();
+    throw new Error(`API render failed ${resp.status} ${t}`);
+  }
+  const data = await resp.json();
+  const text = data?.text || '';
+  if (!text) throw new Error('Rendered text empty');
+  return text;
+}
+
+/**
+ * Render a template key: local template when it exists, Laravel API otherwise.
+ * `locale` picks templates/<key>.<locale>.txt when available (and is passed to the API).
+ * @returns {Promise<{ text: string, templateSource: 'local'|'api' }>}
+ */
+async function renderTemplate(templateKey, params, locale = null) {
+  if (templateStore.has(templateKey)) {
+    const text = templateStore.render(templateKey, params || {}, { locale, tz: REMINDER_TZ });
+    if (!text.trim()) throw new Error('Rendered text empty');
+    return { text, templateSource: 'local' };
+  }
+  return { text: await renderTemplateViaApi(templateKey, params, locale), templateSource: 'api' };
+}
+
 // Send plain text
 app.post('/send-text', requireApiKey, async (req, res) => {
   try {
     const { phone, text } = req.body || {};
-    let state = lastState;
-    try { state = await client.getState(); } catch (_) {}
-    const connected = isClientReady && (state === 'CONNECTED' || lastState === 'CONNECTED');
-    if (!connected) {
-      return res.status(503).json({ ok: false, error: 'wa_not_ready', state, lastState, isClientReady });
+    const { sendAt, error: sendAtError } = parseSendAt(req.body?.sendAt);
+    if (sendAtError) return res.status(400).json({ ok: false, error: sendAtError });
+    const { priority, error: priorityError } = parsePriority(req.body?.priority);
+    if (priorityError) return res.status(400).json({ ok: false, error: priorityError, lanes: WA_LANES });
+    const { session: sessionName, error: sessionError } = parseSession(req.body?.session);
+    if (sessionError) return res.status(400).json({ ok: false, error: sessionError, sessions: [...waSessions.keys()] });
+    const waSession = pickSession({ session: sessionName, source: 'manual_api', endpoint: '/send-text' });
+    // Async and scheduled jobs simply wait in the queue until WhatsApp is connected
+    if (!sendAt && !wantsAsync(req)) {
+      const { connected, state } = await waSession.connectionState();
+      if (!connected) return res.status(503).json(waNotReady(waSession, state));
     }
     if (!phone || !text) return res.status(400).json({ ok: false, error: 'phone_and_text_required' });
-    const jid = normalizeToJid(phone);
-    const msg = await enqueueWaSend(jid, text, { source: 'manual_api', endpoint: '/send-text' });
-    
-    // Logger le message envoyé
-    logReminder({
-      type: 'reminder_success',
-      date: new Date().toISOString().split('T')[0],
-      request: { tel: phone, message: text, source: 'manual_api', endpoint: '/send-text' },
-      response: { success: true, jid, messageId: msg.id?._serialized }
+    const jid = await resolveRecipient(waSession, phone);
+    await respondWithSend(req, res, {
+      jid,
+      text,
+      sendAt,
+      meta: {
+        source: 'manual_api',
+        endpoint: '/send-text',
+        session: waSession.name,
+        priority,
+        bypassWindow: parseBypassWindow(req.body?.bypassWindow),
+        idempotencyKey: getIdempotencyKey(req)
+      },
+      logRequest: { tel: phone, message: text, source: 'manual_api', endpoint: '/send-text' }
     });
-    
-    res.json({ ok: true, id: msg.id?._serialized });
   } catch (e) {
     console.error('send-text error', e);
     
     // Logger l'erreur
-    logReminder({
-      type: 'reminder_error',
-      date: new Date().toISOString().split('T')[0],
-      request: { tel: req.body?.phone, message: req.body?.text, source: 'manual_api', endpoint: '/send-text' },
-      response: { success: false },
-      error: e?.message || 'unknown'
-    });
+    logApiSendError({ tel: req.body?.phone, message: req.body?.text, source: 'manual_api', endpoint: '/send-text' }, e);
     
-    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+    respondSendError(res, e);
   }
 });
 
-// Send template rendered by Laravel API
+// Send template: local templates/<key>.txt, else rendered by Laravel API
 app.post('/send-template', requireApiKey, async (req, res) => {
   try {
-    const { phone, templateKey, params } = req.body || {};
-    let state = lastState;
-    try { state = await client.getState(); } catch (_) {}
-    const connected = isClientReady && (state === 'CONNECTED' || lastState === 'CONNECTED');
-    if (!connected) {
-      return res.status(503).json({ ok: false, error: 'wa_not_ready', state, lastState, isClientReady });
+    const { phone, templateKey, params, locale } = req.body || {};
+    const { sendAt, error: sendAtError } = parseSendAt(req.body?.sendAt);
+    if (sendAtError) return res.status(400).json({ ok: false, error: sendAtError });
+    const { priority, error: priorityError } = parsePriority(req.body?.priority);
+    if (priorityError) return res.status(400).json({ ok: false, error: priorityError, lanes: WA_LANES });
+    const { session: sessionName, error: sessionError } = parseSession(req.body?.session);
+    if (sessionError) return res.status(400).json({ ok: false, error: sessionError, sessions: [...waSessions.keys()] });
+    const waSession = pickSession({ session: sessionName, source: 'manual_api', endpoint: '/send-template', templateKey: req.body?.templateKey });
+    if (!sendAt && !wantsAsync(req)) {
+      const { connected, state } = await waSession.connectionState();
+      if (!connected) return res.status(503).json(waNotReady(waSession, state));
     }
     if (!phone || !templateKey) return res.status(400).json({ ok: false, error: 'phone_and_templateKey_required' });
+    const jid = await resolveRecipient(waSession, phone);
+
+    const { text, templateSource } = await renderTemplate(templateKey, params, locale);
+
+    await respondWithSend(req, res, {
+      jid,
+      text,
+      sendAt,
+      meta: {
+        source: 'manual_api',
+        endpoint: '/send-template',
+        session: waSession.name,
+        templateKey,
+        templateSource,
+        locale: locale || undefined,
+        priority,
+        bypassWindow: parseBypassWindow(req.body?.bypassWindow),
+        idempotencyKey: getIdempotencyKey(req)
+      },
+      logRequest: { tel: phone, message: text, source: 'manual_api', endpoint: '/send-template', templateKey, templateSource }
+    });
+  } catch (e) {
+    console.error('send-template error', e);
+    
+    // Logger l'erreur
+    logApiSendError({ tel: req.body?.phone, source: 'manual_api', endpoint: '/send-template', templateKey: req.body?.templateKey }, e);
+    
+    respondSendError(res, e);
+  }
+});
 
-    const apiBase = process.env.API_BASE || 'http://localhost';
-    const url = `${apiBase.replace(/\/$/, '')}/api/templates/render`;
-    const headers = { 'Content-Type': 'application/json' };
-    const apiKey = process.env.TEMPLATE_API_KEY;
-    if (apiKey) headers['X-Api-Key'] = apiKey;
+// Send an image, PDF or document: base64 `data`, or a `path` inside WA_MEDIA_DIR
+const mediaJsonBody = express.json({ limit: Math.ceil(WA_MEDIA_MAX_BYTES * 4 / 3) + 64 * 1024 });
+app.post('/send-media', requireApiKey, mediaJsonBody, async (req, res) => {
+  try {
+    const { phone, data, path: filePath, filename, mimetype, caption } = req.body || {};
+    const { sendAt, error: sendAtError } = parseSendAt(req.body?.sendAt);
+    if (sendAtError) return res.status(400).json({ ok: false, error: sendAtError });
+    const { priority, error: priorityError } = parsePriority(req.body?.priority);
+    if (priorityError) return res.status(400).json({ ok: false, error: priorityError, lanes: WA_LANES });
+    const { session: sessionName, error: sessionError } = parseSession(req.body?.session);
+    if (sessionError) return res.status(400).json({ ok: false, error: sessionError, sessions: [...waSessions.keys()] });
+    const waSession = pickSession({ session: sessionName, source: 'manual_api', endpoint: '/send-media' });
+    if (!sendAt && !wantsAsync(req)) {
+      const { connected, state } = await waSession.connectionState();
+      if (!connected) return res.status(503).json(waNotReady(waSession, state));
+    }
+    if (!phone || (!data && !filePath)) return res.status(400).json({ ok: false, error: 'phone_and_media_required' });
+    const jid = await resolveRecipient(waSession, phone);
 
-    const resp = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ key: templateKey, params: params || {} })
-    });
-    if (!resp.ok) {
-      const t = await resp.text();
-      throw new Error(`API render failed ${resp.status} ${t}`);
+    let media;
+    try {
+      media = data
+        ? mediaStore.fromBase64({ data, filename, mimetype })
+        : mediaStore.fromAllowedFile({ path: filePath, filename, mimetype });
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(e.code === 'media_too_large' ? 413 : 400).json({ ok: false, error: e.code });
     }
-    const data = await resp.json();
-    const text = data?.text || '';
-    if (!text) throw new Error('Rendered text empty');
 
-    const jid = normalizeToJid(phone);
-  const msg = await enqueueWaSend(jid, text, { source: 'manual_api', endpoint: '/send-template', templateKey });
-    
-    // Logger le message envoyé
-    logReminder({
-      type: 'reminder_success',
-      date: new Date().toISOString().split('T')[0],
-      request: { tel: phone, message: text, source: 'manual_api', endpoint: '/send-template', templateKey },
-      response: { success: true, jid, messageId: msg.id?._serialized }
+    await respondWithSend(req, res, {
+      jid,
+      text: caption || '',
+      media,
+      sendAt,
+      meta: {
+        source: 'manual_api',
+        endpoint: '/send-media',
+        session: waSession.name,
+        filename: media.filename,
+        mimetype: media.mimetype,
+        priority,
+        bypassWindow: parseBypassWindow(req.body?.bypassWindow),
+        idempotencyKey: getIdempotencyKey(req)
+      },
+      logRequest: {
+        tel: phone,
+        message: caption || `[media] ${media.filename}`,
+        source: 'manual_api',
+        endpoint: '/send-media',
+        media: { filename: media.filename, mimetype: media.mimetype, size: media.size }
+      }
     });
-    
-    res.json({ ok: true, id: msg.id?._serialized });
   } catch (e) {
-    console.error('send-template error', e);
-    
+    console.error('send-media error', e);
+
     // Logger l'erreur
-    logReminder({
-      type: 'reminder_error',
-      date: new Date().toISOString().split('T')[0],
-      request: { tel: req.body?.phone, source: 'manual_api', endpoint: '/send-template', templateKey: req.body?.templateKey },
-      response: { success: false },
-      error: e?.message || 'unknown'
+    logApiSendError({
+      tel: req.body?.phone,
+      message: req.body?.caption || `[media] ${req.body?.filename || req.body?.path || ''}`,
+      source: 'manual_api',
+      endpoint: '/send-media'
+    }, e);
+
+    respondSendError(res, e);
+  }
+});
+
+// Which phones have WhatsApp: { phones: [...], session, refresh } → resolved JIDs, cached NUMBER_CACHE_TTL_MS
+const CONTACTS_CHECK_MAX = process.env.CONTACTS_CHECK_MAX ? Number(process.env.CONTACTS_CHECK_MAX) : 100;
+app.post('/contacts/check', requireApiKey, async (req, res) => {
+  try {
+    const phones = Array.isArray(req.body?.phones) ? req.body.phones : (req.body?.phone ? [req.body.phone] : null);
+    if (!phones || !phones.length) return res.status(400).json({ ok: false, error: 'phones_required' });
+    if (phones.length > CONTACTS_CHECK_MAX) return res.status(400).json({ ok: false, error: 'too_many_phones', max: CONTACTS_CHECK_MAX });
+    const { session: sessionName, error: sessionError } = parseSession(req.body?.session);
+    if (sessionError) return res.status(400).json({ ok: false, error: sessionError, sessions: [...waSessions.keys()] });
+    const waSession = pickSession({ session: sessionName, endpoint: '/contacts/check' });
+    const refresh = req.body?.refresh === true || String(req.body?.refresh).toLowerCase() === 'true';
+
+    const results = [];
+    for (const input of phones) {
+      const parsed = parsePhone(input);
+      if (!parsed.ok) {
+        results.push({ input, phone: null, exists: false, jid: null, error: parsed.error, reason: parsed.reason, message: parsed.message });
+        continue;
+      }
+      const { phone } = parsed;
+      const { exists, jid, cached, checkedAt, error } = await checkWaNumber(waSession, phone, { refresh });
+      results.push({ input, phone, exists, jid, cached, checkedAt: checkedAt ? new Date(checkedAt).toISOString() : null, error });
+    }
+    const count = (value) => results.filter((r) => r.exists === value).length;
+    res.json({
+      ok: true,
+      session: waSession.name,
+      ready: waSession.isReady(),
+      results,
+      summary: { total: results.length, onWhatsApp: count(true), notOnWhatsApp: count(false), unknown: count(null) }
     });
-    
+  } catch (e) {
+    console.error('contacts/check error', e);
+    res.status(500).json({ ok: false, error: e?.message || 'unknown' });
+  }
+});
+
+// Suppression list: numbers that must not receive anything (inbound STOP/ARRET adds the sender)
+app.get('/api/suppressions', requireApiKey, (req, res) => {
+  const items = suppressions.list({ reason: req.query.reason || null });
+  res.json({ ok: true, items, total: items.length });
+});
+
+app.get('/api/suppressions/:phone', requireApiKey, (req, res) => {
+  const parsed = parsePhone(req.params.phone);
+  if (!parsed.ok) return res.status(400).json(parsed);
+  const entry = suppressions.get(parsed.phone);
+  if (!entry) return res.status(404).json({ ok: false, error: 'suppression_not_found', phone: parsed.phone });
+  res.json({ ok: true, ...entry });
+});
+
+// Add a number: { phone, reason, note } (reason defaults to "manual"); an already listed number is updated
+app.post('/api/suppressions', requireApiKey, (req, res) => {
+  const { phone, reason, note } = req.body || {};
+  if (!phone) return res.status(400).json({ ok: false, error: 'phone_required' });
+  const parsed = parsePhone(phone);
+  if (!parsed.ok) return res.status(400).json(parsed);
+  const { entry, created } = suppressions.add(parsed.phone, { reason: reason || 'manual', source: 'api', note });
+  console.log(`[suppression] ${parsed.phone} ${created ? 'added' : 'updated'} (${entry.reason})`);
+  res.status(created ? 201 : 200).json({ ok: true, created, ...entry });
+});
+
+app.put('/api/suppressions/:phone', requireApiKey, (req, res) => {
+  const parsed = parsePhone(req.params.phone);
+  if (!parsed.ok) return res.status(400).json(parsed);
+  const existing = suppressions.get(parsed.phone);
+  if (!existing) return res.status(404).json({ ok: false, error: 'suppression_not_found', phone: parsed.phone });
+  const { reason, note } = req.body || {};
+  const { entry } = suppressions.add(parsed.phone, {
+    reason: reason || existing.reason,
+    source: existing.source,
+    note: note !== undefined ? note : existing.note
+  });
+  res.json({ ok: true, ...entry });
+});
+
+app.delete('/api/suppressions/:phone', requireApiKey, (req, res) => {
+  const parsed = parsePhone(req.params.phone);
+  if (!parsed.ok) return res.status(400).json(parsed);
+  const entry = suppressions.remove(parsed.phone);
+  if (!entry) return res.status(404).json({ ok: false, error: 'suppression_not_found', phone: parsed.phone });
+  console.log(`[suppression] ${parsed.phone} removed`);
+  res.json({ ok: true, removed: entry.phone });
+});
+
+/**
+ * Recipients of a bulk send: `recipients` array ({ phone, params } or flat rows),
+ * or CSV (`csv` field or text/csv body) with a phone column (and optional locale), the other columns being params.
+ * @returns {Array<{ phone: string|null, locale: string|null, params: Object }>|null}
+ */
+function parseBulkRecipients(body) {
+  let rows = body?.recipients;
+  const csv = typeof body === 'string' ? body : body?.csv;
+  if (!Array.isArray(rows) && csv) rows = parseCsv(csv);
+  if (!Array.isArray(rows)) return null;
+  return rows.map((row) => {
+    if (typeof row === 'string' || typeof row === 'number') return { phone: String(row), params: {} };
+    const { phone, tel, telephone, locale, params, ...rest } = row || {};
+    return { phone: phone || tel || telephone || null, locale: locale || null, params: { ...rest, ...(params || {}) } };
+  });
+}
+
+// Per-recipient status (from the job store) and overall progress of a batch
+function describeBatch(batch) {
+  const counts = {};
+  const recipients = batch.entries.map((entry) => {
+    const job = entry.jobId ? jobStore.get(entry.jobId) : null;
+    const status = entry.status || job?.status || 'unknown';
+    counts[status] = (counts[status] || 0) + 1;
+    return {
+      index: entry.index,
+      phone: entry.phone,
+      jobId: entry.jobId,
+      status,
+      messageId: job?.messageId || null,
+      sentAt: job?.sentAt || null,
+      error: entry.error || job?.error || null,
+      ...(entry.reason ? { reason: entry.reason } : {})
+    };
+  });
+  const total = batch.entries.length;
+  const pending = (counts.queued || 0) + (counts.scheduled || 0) + (counts.sending || 0);
+  const done = total - pending;
+  return {
+    id: batch.id,
+    name: batch.name,
+    templateKey: batch.templateKey,
+    priority: batch.priority,
+    sendAt: batch.sendAt,
+    createdAt: batch.createdAt,
+    cancelledAt: batch.cancelledAt,
+    status: batch.cancelledAt ? 'cancelled' : pending ? 'running' : 'completed',
+    progress: { total, done, pending, percent: total ? Math.round((done * 100) / total) : 100, ...counts },
+    recipients
+  };
+}
+
+// Bulk send (announcements): JSON recipients or CSV, one queued message per recipient
+app.post('/send-bulk', requireApiKey, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    // With a CSV body, the other fields come from the query string
+    const options = typeof req.body === 'string' ? req.query : (req.body || {});
+    const { text, templateKey, name } = options;
+    if (!text && !templateKey) return res.status(400).json({ ok: false, error: 'text_or_templateKey_required' });
+    const recipients = parseBulkRecipients(req.body);
+    if (!recipients || !recipients.length) return res.status(400).json({ ok: false, error: 'recipients_required' });
+    if (recipients.length > BULK_MAX_RECIPIENTS) {
+      return res.status(400).json({ ok: false, error: 'too_many_recipients', max: BULK_MAX_RECIPIENTS });
+    }
+    const { sendAt, error: sendAtError } = parseSendAt(options.sendAt);
+    if (sendAtError) return res.status(400).json({ ok: false, error: sendAtError });
+    // Campaigns go to the bulk lane unless told otherwise
+    const { priority, error: priorityError } = parsePriority(options.priority || (defaultSession.queue.hasLane('bulk') ? 'bulk' : ''));
+    if (priorityError) return res.status(400).json({ ok: false, error: priorityError, lanes: WA_LANES });
+    const { session: sessionName, error: sessionError } = parseSession(options.session);
+    if (sessionError) return res.status(400).json({ ok: false, error: sessionError, sessions: [...waSessions.keys()] });
+
+    // Same Idempotency-Key: answer with the batch created the first time
+    const idempotencyKey = req.get('idempotency-key') || options.idempotencyKey || null;
+    if (idempotencyKey) {
+      const existing = idempotencyStore.get(`bulk:${idempotencyKey}`);
+      const batch = existing ? batchStore.get(existing.jobId) : null;
+      if (batch) return res.status(202).json({ ok: true, batchId: batch.id, total: batch.total, duplicate: true });
+    }
+
+    const batch = batchStore.create({
+      name: name || null,
+      templateKey: templateKey || null,
+      priority,
+      sendAt: sendAt ? DateTime.fromMillis(sendAt).setZone(REMINDER_TZ).toISO() : null,
+      total: recipients.length
+    });
+    if (idempotencyKey) idempotencyStore.set(`bulk:${idempotencyKey}`, batch.id);
+
+    const meta = {
+      source: 'bulk_api',
+      endpoint: '/send-bulk',
+      batchId: batch.id,
+      templateKey: templateKey || undefined,
+      priority,
+      bypassWindow: parseBypassWindow(options.bypassWindow)
+    };
+    // The whole campaign goes through one account
+    const waSession = pickSession({ ...meta, session: sessionName });
+    meta.session = waSession.name;
+    // Check and render a recipient; null when it cannot be queued (entry says why)
+    const prepare = async (entry, { phone, locale, params }) => {
+      if (!phone) {
+        Object.assign(entry, { status: 'invalid', error: 'phone_required' });
+        return null;
+      }
+      const parsed = parsePhone(phone);
+      if (!parsed.ok) {
+        Object.assign(entry, { status: 'invalid', error: parsed.error, reason: parsed.reason });
+        return null;
+      }
+      const jid = `${parsed.phone}@c.us`;
+
+      const logRequest = { tel: phone, source: 'bulk_api', endpoint: '/send-bulk', batchId: batch.id, templateKey };
+      try {
+        const recipientLocale = locale || options.locale || null;
+        logRequest.message = templateKey
+          ? (await renderTemplate(templateKey, params, recipientLocale)).text
+          : renderString(text, params, { locale: recipientLocale, tz: REMINDER_TZ });
+      } catch (e) {
+        Object.assign(entry, { status: 'failed', error: e?.message || 'render_failed' });
+        logApiSendError(logRequest, e);
+        return null;
+      }
+      if (!logRequest.message.trim()) {
+        Object.assign(entry, { status: 'invalid', error: 'text_empty' });
+        return null;
+      }
+      return { entry, jid, logRequest };
+    };
+
+    let queued = 0;
+    try {
+      const entries = recipients.map(({ phone }, index) => ({ index, phone, jobId: null, status: null, error: null }));
+      batch.entries.push(...entries);
+      const ready = [];
+      for (let i = 0; i < recipients.length; i += BULK_RENDER_CONCURRENCY) {
+        const chunk = recipients.slice(i, i + BULK_RENDER_CONCURRENCY);
+        const prepared = await Promise.all(chunk.map((recipient, j) => prepare(entries[i + j], recipient)));
+        ready.push(...prepared.filter(Boolean));
+      }
+
+      // All recipients at once: one write of the queue file and webhook outbox for the batch
+      waSession.queue.deferSaves(() => webhooks.deferSaves(() => {
+        for (const { entry, jid, logRequest } of ready) {
+          let submitted;
+          try {
+            submitted = submitWaSend(jid, logRequest.message, meta, { sendAt });
+          } catch (e) {
+            if (e?.code === 'recipient_suppressed') {
+              Object.assign(entry, { status: 'suppressed', error: e.code, reason: e.reason });
+            } else {
+              Object.assign(entry, { status: 'failed', error: e?.message || 'enqueue_failed' });
+              logApiSendError(logRequest, e);
+            }
+            continue;
+          }
+          const { jobId, promise } = submitted;
+          entry.jobId = jobId;
+          queued++;
+          promise
+            .then((msg) => logApiSendSuccess(logRequest, jid, msg))
+            .catch((e) => {
+              if (e?.code !== 'job_cancelled') logApiSendError(logRequest, e);
+            });
+        }
+      }));
+    } finally {
+      // Entries queued before an unexpected error still go out: keep them in the batch
+      batchStore.update(batch);
+    }
+
+    console.log(`/send-bulk batch ${batch.id}: ${queued}/${recipients.length} queued`);
+    res.status(202).json({ ok: true, batchId: batch.id, total: recipients.length, queued, rejected: recipients.length - queued });
+  } catch (e) {
+    console.error('send-bulk error', e);
     res.status(500).json({ ok: false, error: e?.message || 'unknown' });
   }
 });
 
+app.get('/batches/:id', requireApiKey, (req, res) => {
+  const batch = batchStore.get(req.params.id);
+  if (!batch) return res.status(404).json({ ok: false, error: 'batch_not_found' });
+  res.json({ ok: true, ...describeBatch(batch) });
+});
+
+// Cancel the recipients of a batch that are not sent yet
+app.post('/batches/:id/cancel', requireApiKey, (req, res) => {
+  const batch = batchStore.get(req.params.id);
+  if (!batch) return res.status(404).json({ ok: false, error: 'batch_not_found' });
+  let cancelled = 0;
+  batch.entries.forEach((entry) => {
+    if (entry.jobId && findInQueues((queue) => queue.cancel(entry.jobId))) cancelled++;
+  });
+  batchStore.update(batch, { cancelledAt: batch.cancelledAt || new Date().toISOString() });
+  const { status, progress } = describeBatch(batch);
+  res.json({ ok: true, batchId: batch.id, cancelled, status, progress });
+});
+
+// Status of a queued send (jobId returned by /send-text, /send-template, /send-media)
+app.get('/jobs/:id', requireApiKey, (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: 'job_not_found' });
+  const delivery = job.messageId ? messageStatus.get(job.messageId)?.status || null : null;
+  res.json({ ok: true, ...job, delivery });
+});
+
+// Scheduled messages (sendAt in the future)
+app.get('/scheduled', requireApiKey, (_req, res) => {
+  const items = waSessionList.flatMap(({ name, queue }) => queue.scheduled().map((item) => ({
+    jobId: item.id,
+    session: name,
+    jid: item.data?.jid || null,
+    text: item.data?.text || item.data?.caption || '',
+    media: item.data?.media ? { filename: item.data.media.filename, mimetype: item.data.media.mimetype } : undefined,
+    sendAt: DateTime.fromMillis(item.sendAt).setZone(REMINDER_TZ).toISO(),
+    priority: item.lane,
+    meta: item.meta?.meta || {},
+    createdAt: new Date(item.enqueuedAt).toISOString()
+  }))).sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  res.json({ ok: true, items, total: items.length });
+});
+
+app.delete('/scheduled/:id', requireApiKey, (req, res) => {
+  const session = waSessionList.find(({ queue }) => queue.scheduled().some((item) => item.id === req.params.id));
+  if (!session || !session.queue.cancel(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'scheduled_message_not_found' });
+  }
+  res.json({ ok: true, cancelled: req.params.id });
+});
+
+// Dead-letter queue: messages that failed WA_MAX_ATTEMPTS times
+app.get('/api/queue/dead-letters', requireApiKey, (_req, res) => {
+  const items = waSessionList.flatMap(({ name, queue }) => queue.deadLetters().map((item) => ({ ...item, session: name })));
+  res.json({ ok: true, items, total: items.length });
+});
+
+app.post('/api/queue/dead-letters/:id/requeue', requireApiKey, (req, res) => {
+  const entry = findInQueues((queue) => queue.requeueDeadLetter(req.params.id));
+  if (!entry) return res.status(404).json({ ok: false, error: 'dead_letter_not_found' });
+  res.json({ ok: true, requeued: entry.id });
+});
+
+app.delete('/api/queue/dead-letters/:id', requireApiKey, (req, res) => {
+  const entry = findInQueues((queue) => queue.discardDeadLetter(req.params.id));
+  if (!entry) return res.status(404).json({ ok: false, error: 'dead_letter_not_found' });
+  mediaStore.release(entry.data?.media);
+  res.json({ ok: true, discarded: entry.id });
+});
+
 // Endpoints pour les logs (nouveaux messages JSON uniquement)
 app.get('/api/logs', async (req, res) => {
   try {
@@ -526,40 +1834,35 @@ app.get('/api/logs', async (req, res) => {
 
     // Liste des numéros à exclure (uniquement via query param)
     const defaultExcluded = [];
-    const excludedNumbers = exclude ? [...defaultExcluded, ...exclude.split(',').map(n => n.trim())] : defaultExcluded;
-
-    // Fonction pour normaliser et vérifier si un numéro est exclu
-    const isExcluded = (phone) => {
-      const normalized = normalizeDigits(phone);
-      return excludedNumbers.some(ex => {
-        const exNorm = normalizeDigits(ex);
-        return normalized === exNorm || normalized.endsWith(exNorm) || exNorm.endsWith(normalized);
-      });
-    };
-
-    // Récupérer tous les logs pour les erreurs
-    const allLogs = getLogs({ date: options.date });
-    
-    // Séparer les erreurs et les succès, puis filtrer
-    let errors = allLogs.filter(log => log.type === 'reminder_error' || log.type === 'error');
-    let messages = getSentMessages({ limit: options.limit || 1000, date: options.date });
-
-    // Filtrer par numéro de téléphone si spécifié
-    if (tel) {
-      const telNorm = normalizeDigits(tel);
-      messages = messages.filter(msg => {
-        const msgTel = normalizeDigits(msg.tel || '');
-        return msgTel.includes(telNorm) || telNorm.includes(msgTel);
-      });
-      errors = errors.filter(err => {
-        const errTel = normalizeDigits(err.request?.tel || '');
-        return errTel.includes(telNorm) || telNorm.includes(errTel);
-      });
+    const excludedNumbers = exclude ? [...defaultExcluded, ...exclude.split(',').map(n => n.trim()).filter(Boolean)] : defaultExcluded;
+
+    // Filtres comparés au format international (0661888772 = +212 661-888772)
+    const telFilter = tel ? parsePhone(tel) : null;
+    if (telFilter && !telFilter.ok) return res.status(400).json({ ...telFilter, filter: 'tel' });
+    const excludedKeys = new Set();
+    for (const ex of excludedNumbers) {
+      const parsed = parsePhone(ex);
+      if (!parsed.ok) return res.status(400).json({ ...parsed, filter: 'exclude' });
+      excludedKeys.add(parsed.phone);
     }
-
-    // Exclure les numéros de la liste d'exclusion
-    messages = messages.filter(msg => !isExcluded(msg.tel));
-    errors = errors.filter(err => !isExcluded(err.request?.tel));
+    const isExcluded = (phone) => excludedKeys.size > 0 && excludedKeys.has(phoneKey(phone));
+
+    // Filtres appliqués pendant la lecture des fichiers de logs (MySQL cherche déjà par numéro)
+    const telPhone = telFilter ? telFilter.phone : undefined;
+    const matchesTel = (phone) => (!telFilter || phoneKey(phone) === telFilter.phone) && !isExcluded(phone);
+
+    // Erreurs et envois bloqués par la liste de suppression (pas des erreurs)
+    const problems = await getLogs({
+      limit: options.limit || 1000,
+      date: options.date,
+      phone: telPhone,
+      type: ['reminder_error', 'error', 'message_suppressed'],
+      filter: log => matchesTel(log.request?.tel)
+    });
+    const errors = problems.filter(log => log.type !== 'message_suppressed');
+    const suppressed = problems.filter(log => log.type === 'message_suppressed');
+    const messages = (await getSentMessages({ limit: options.limit || 1000, date: options.date, phone: telPhone, filter: msg => matchesTel(msg.tel) }))
+      .map(msg => ({ ...msg, status: msg.messageId ? messageStatus.get(msg.messageId)?.status || null : null }));
 
     // Calculer les statistiques (uniquement messages et erreurs, après filtres)
     const today = new Date().toISOString().split('T')[0];
@@ -572,7 +1875,8 @@ app.get('/api/logs', async (req, res) => {
       todayMessages: todayMessages.length,
       todayErrors: todayErrors.length,
       total: messages.length + errors.length,
-      today: todayMessages.length + todayErrors.length
+      today: todayMessages.length + todayErrors.length,
+      totalSuppressed: suppressed.length
     };
 
     // Limiter les résultats après calcul des stats
@@ -583,6 +1887,7 @@ app.get('/api/logs', async (req, res) => {
       ok: true, 
       errors: limitedErrors,
       messages: limitedMessages, 
+      suppressed: suppressed.slice(0, 20),
       stats,
       filters: {
         date: date || null,
@@ -605,7 +1910,7 @@ app.get('/api/logs/messages', async (req, res) => {
     if (limit) options.limit = parseInt(limit);
     if (date) options.date = date;
 
-    const messages = getSentMessages(options);
+    const messages = await getSentMessages(options);
 
     res.json({ ok: true, messages, total: messages.length });
   } catch (e) {
@@ -614,6 +1919,28 @@ app.get('/api/logs/messages', async (req, res) => {
   }
 });
 
+// Delivery/read status of a sent message (id = serialized WhatsApp message id)
+app.get('/api/messages/:id/status', (req, res) => {
+  const entry = messageStatus.get(req.params.id);
+  if (!entry) return res.status(404).json({ ok: false, error: 'message_not_found' });
+  res.json({ ok: true, ...entry });
+});
+
+// Inbound messages, most recent first (filters: phone, date, from, to, limit)
+app.get('/api/inbox', requireApiKey, (req, res) => {
+  const { phone, date, from, to, limit } = req.query;
+  const parsed = phone ? parsePhone(phone) : null;
+  if (parsed && !parsed.ok) return res.status(400).json({ ...parsed, filter: 'phone' });
+  const messages = inbox.list({
+    phone: parsed ? parsed.phone : undefined,
+    date,
+    from,
+    to,
+    limit: limit ? parseInt(limit) : 100
+  });
+  res.json({ ok: true, messages, total: messages.length });
+});
+
 // Endpoint statistiques désactivé - travail uniquement avec nouveaux messages JSON
 // app.get('/api/logs/stats', ...);
 
@@ -622,9 +1949,9 @@ app.get('/api/logs/messages', async (req, res) => {
 //   res.status(410).json({ ok: false, error: 'endpoint_disabled', message: 'Backfill désactivé - travail uniquement avec JSON' });
 // });
 
-app.delete('/api/logs', requireApiKey, (req, res) => {
+app.delete('/api/logs', requireApiKey, async (req, res) => {
   try {
-    const result = clearLogs();
+    const result = await clearLogs();
     res.json({ ok: true, cleared: result });
   } catch (e) {
     console.error('[logs] Error:', e);
@@ -632,49 +1959,94 @@ app.delete('/api/logs', requireApiKey, (req, res) => {
   }
 });
 
+function scheduleCount(req) {
+  const count = Number(req.query.count);
+  return Number.isInteger(count) && count > 0 ? Math.min(count, 50) : 5;
+}
+
+// Reminder schedule: cron, tz, source and onlyEnvoyerAuto, with the next planned runs (?count=, max 50)
+app.get('/api/reminders/schedule', requireApiKey, (req, res) => {
+  res.json({ ok: true, schedule: describeReminderSchedule(scheduleCount(req)) });
+});
+
+// Change the schedule without restarting (partial updates; `at: "HH:mm"` is a shortcut for a daily cron)
+app.put('/api/reminders/schedule', requireApiKey, (req, res) => {
+  const body = req.body || {};
+  const next = { ...reminderSchedule };
+  let source = REMINDER_SOURCE;
+
+  if (body.cron !== undefined) {
+    const value = String(body.cron).trim();
+    if (!cron.validate(value)) return res.status(400).json({ ok: false, error: 'invalid_cron' });
+    next.cron = value;
+  } else if (body.at !== undefined) {
+    const value = cronFromReminderAt(body.at);
+    if (!value) return res.status(400).json({ ok: false, error: 'invalid_at', message: 'Expected HH:mm' });
+    next.cron = value;
+  }
+  if (body.tz !== undefined) {
+    if (!isValidTimezone(body.tz)) return res.status(400).json({ ok: false, error: 'invalid_timezone' });
+    next.tz = String(body.tz);
+  }
+  if (body.onlyEnvoyerAuto !== undefined) {
+    const value = String(body.onlyEnvoyerAuto).toLowerCase();
+    if (value !== 'true' && value !== 'false') return res.status(400).json({ ok: false, error: 'invalid_only_envoyer_auto' });
+    next.onlyEnvoyerAuto = value === 'true';
+  }
+  if (body.source !== undefined) {
+    source = String(body.source).toLowerCase();
+    if (source !== 'db' && source !== 'api') return res.status(400).json({ ok: false, error: 'invalid_source' });
+    if (source === 'api' && !REMINDER_API_BASE) {
+      return res.status(400).json({ ok: false, error: 'reminder_api_not_configured' });
+    }
+    if (source === 'db' && !dbPool) {
+      try {
+        dbPool = createPoolFromEnv();
+        console.log('[db] MySQL pool created');
+        registerDbAckHandler();
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: 'db_not_configured', message: e?.message });
+      }
+    }
+  }
+
+  Object.assign(reminderSchedule, next, { updatedAt: new Date().toISOString() });
+  REMINDER_SOURCE = source;
+  saveReminderSchedule();
+  console.log(`[reminders] schedule updated cron="${reminderSchedule.cron}" tz="${reminderSchedule.tz}" source=${REMINDER_SOURCE} onlyEnvoyerAuto=${reminderSchedule.onlyEnvoyerAuto}`);
+  loadConfiguredReminderRules();
+  scheduleReminderRules();
+  res.json({ ok: true, schedule: describeReminderSchedule(scheduleCount(req)) });
+});
+
 // Test endpoint to manually trigger reminders
 app.post('/api/send-reminder-test', requireApiKey, async (req, res) => {
   try {
-    let state = 'UNKNOWN';
-    try { state = await client.getState(); } catch (_) {}
-    if (!isClientReady || state !== 'CONNECTED') {
-      return res.status(503).json({ ok: false, error: 'wa_not_ready', state, message: 'WhatsApp client is not ready. Please scan QR code first.' });
-    }
-
     console.log('[reminder-test] Manual reminder trigger started...');
     
-    let result;
-    if (REMINDER_SOURCE === 'api') {
-      if (!REMINDER_API_BASE) {
-        return res.status(500).json({ ok: false, error: 'REMINDER_API_BASE not configured' });
-      }
-      result = await runDailyTaskRemindersViaApi({
-        client,
-        apiBase: REMINDER_API_BASE,
-        apiKey: REMINDER_API_KEY,
-        normalizeToJid,
-        isWaConnected,
-        tz: REMINDER_TZ,
-        onlyEnvoyerAuto: REMINDER_ONLY_ENVOYER_AUTO,
-        sendMessage: enqueueWaSend,
-        sendDelayMs: 0,
-        logger: console,
-      });
-    } else if (dbPool) {
-      result = await runDailyTaskReminders({
-        client,
-        pool: dbPool,
-        normalizeToJid,
-        isWaConnected,
-        tz: REMINDER_TZ,
-        onlyEnvoyerAuto: REMINDER_ONLY_ENVOYER_AUTO,
-        sendMessage: enqueueWaSend,
-        sendDelayMs: 0,
-        logger: console,
-      });
-    } else {
+    if (REMINDER_SOURCE === 'api' && !REMINDER_API_BASE) {
+      return res.status(500).json({ ok: false, error: 'REMINDER_API_BASE not configured' });
+    }
+    if (REMINDER_SOURCE !== 'api' && !dbPool) {
       return res.status(500).json({ ok: false, error: 'no_reminder_source_configured' });
     }
+    // Optional { rule: '<id>' } (first enabled rule by default, disabled rules can be tried too),
+    // { mode: 'task' | 'digest' } to try the other mode, { force: true } to send again tasks already reminded today
+    const rule = req.body?.rule
+      ? REMINDER_RULES.find((r) => r.id === String(req.body.rule))
+      : (REMINDER_RULES.find((r) => r.enabled) || REMINDER_RULES[0]);
+    if (!rule) {
+      return res.status(400).json({ ok: false, error: 'unknown_rule', rules: REMINDER_RULES.map((r) => r.id) });
+    }
+    const waSession = waSessions.get(rule.session) || defaultSession;
+    let state = 'UNKNOWN';
+    try { state = await waSession.client.getState(); } catch (_) {}
+    if (!waSession.isClientReady || state !== 'CONNECTED') {
+      return res.status(503).json({ ok: false, error: 'wa_not_ready', session: waSession.name, state, message: 'WhatsApp client is not ready. Please scan QR code first.' });
+    }
+    const mode = ['task', 'digest'].includes(req.body?.mode) ? req.body.mode : (rule.mode || REMINDER_MODE);
+    const force = req.body?.force === true || String(req.body?.force).toLowerCase() === 'true';
+    const result = await runConfiguredReminders({ rule, mode, force });
 
     console.log('[reminder-test] Manual reminder completed:', result);
     res.json({ 
@@ -682,9 +2054,12 @@ app.post('/api/send-reminder-test', requireApiKey, async (req, res) => {
       result,
       config: {
         source: REMINDER_SOURCE,
-        tz: REMINDER_TZ,
-        cron: REMINDER_CRON,
-        onlyEnvoyerAuto: REMINDER_ONLY_ENVOYER_AUTO
+        tz: reminderSchedule.tz,
+        rule: rule.id,
+        cron: rule.cron,
+        session: rule.session,
+        mode,
+        onlyEnvoyerAuto: rule.onlyEnvoyerAuto
       }
     });
   } catch (e) {
@@ -693,11 +2068,11 @@ app.post('/api/send-reminder-test', requireApiKey, async (req, res) => {
   }
 });
 
-client.initialize();
+waSessionList.forEach((session) => session.initialize());
 
 // Keep state in sync even if events are missed (WhatsApp Web updates can cause that).
 setInterval(() => {
-  refreshClientState();
+  waSessionList.forEach((session) => session.refreshState());
 }, 15000).unref?.();
 
 const PORT = process.env.PORT || 3000;
@@ -716,3 +2091,15 @@ server.on('error', (err) => {
   }
   process.exit(1);
 });
+
+// PM2 restarts send SIGINT: write the stores saved on a timer before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, () => {
+    console.log(`[server] ${signal} received, saving state`);
+    messageStatus.flush();
+    jobStore.flush();
+    inbox.flush();
+    numberCache.flush();
+    flushLogs().finally(() => process.exit(0));
+  });
+});